@@ -0,0 +1,36 @@
+// Authentication settings, read from the environment
+module.exports = {
+  // Block login and admin assignment for accounts that have not verified their email
+  get requireEmailVerification() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  },
+  emailVerificationExpire: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+  // Issuer name shown in authenticator apps
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Todo App',
+  // Lifetime of the token handed out between the password and TOTP steps
+  twoFactorChallengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  // Default for the admin-editable "require 2FA for admins" setting
+  get requireAdminTwoFactorDefault() {
+    return process.env.REQUIRE_ADMIN_2FA === 'true';
+  },
+  // Failed logins before an account is temporarily locked, and for how long
+  loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  loginLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  // Upper bound for the delay enforced between consecutive failures
+  loginMaxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+  // Failed logins allowed from one IP address within the window
+  loginIpMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  loginIpWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  // Password policy
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Number of previous password hashes that may not be reused
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+    denylistFile: process.env.PASSWORD_DENYLIST_FILE || null
+  }
+};
\ No newline at end of file
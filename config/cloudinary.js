@@ -36,4 +36,10 @@ const upload = multer({
   }
 });
 
-module.exports = { cloudinary, upload };
\ No newline at end of file
+// Remove a profile image by its delivery URL
+const destroyProfileImage = (imageUrl) => {
+  const publicId = imageUrl.split('/').pop().split('.')[0];
+  return cloudinary.uploader.destroy(`todo-app/profiles/${publicId}`);
+};
+
+module.exports = { cloudinary, upload, destroyProfileImage };
\ No newline at end of file
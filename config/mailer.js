@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Build the mail transport selected by MAIL_TRANSPORT:
+//   smtp    - real server or a local catcher (MailHog, Mailpit) via SMTP_* vars
+//   file    - writes each message as a .eml file into MAIL_FILE_DIR
+//   console - prints each message to stdout (default)
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file': {
+      const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+      const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+      return {
+        sendMail: async (message) => {
+          const info = await stream.sendMail(message);
+          fs.mkdirSync(dir, { recursive: true });
+          const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+          fs.writeFileSync(file, info.message);
+          return { ...info, file };
+        }
+      };
+    }
+    case 'console': {
+      const json = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        sendMail: async (message) => {
+          const info = await json.sendMail(message);
+          console.log('Mail (console transport):', info.message);
+          return info;
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = null;
+
+// Replace the active transport (any object exposing sendMail(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = createTransport();
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || 'Todo App <no-reply@todo-app.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { createTransport, setTransport, sendMail };
\ No newline at end of file
@@ -0,0 +1,48 @@
+// OpenID Connect single sign-on settings, read from the environment
+const parseRoleMap = () => {
+  try {
+    return JSON.parse(process.env.OIDC_ROLE_MAP || '{}');
+  } catch (error) {
+    console.error('Invalid OIDC_ROLE_MAP, expected JSON like {"idp-group": "role"}');
+    return {};
+  }
+};
+
+module.exports = {
+  get enabled() {
+    return !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+  },
+  get issuer() {
+    return (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+  },
+  get clientId() {
+    return process.env.OIDC_CLIENT_ID;
+  },
+  // Optional: public clients rely on PKCE alone
+  get clientSecret() {
+    return process.env.OIDC_CLIENT_SECRET || null;
+  },
+  get redirectUri() {
+    return process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`;
+  },
+  get scopes() {
+    return process.env.OIDC_SCOPES || 'openid email profile';
+  },
+  // ID token claim holding the user's groups
+  get groupsClaim() {
+    return process.env.OIDC_GROUPS_CLAIM || 'groups';
+  },
+  // IdP group -> role name; first matching entry wins. Empty map = leave roles alone
+  get roleMap() {
+    return parseRoleMap();
+  },
+  // Create local users on first SSO login
+  get autoProvision() {
+    return process.env.OIDC_AUTO_PROVISION !== 'false';
+  },
+  // Frontend page receiving tokens in the URL fragment; JSON response when unset
+  get clientCallbackUrl() {
+    return process.env.OIDC_CLIENT_CALLBACK_URL || null;
+  }
+};
\ No newline at end of file
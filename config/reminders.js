@@ -0,0 +1,20 @@
+// Reminder engine settings
+module.exports = {
+  // How often each instance looks for due reminders
+  pollIntervalSeconds: parseInt(process.env.REMINDER_POLL_SECONDS) || 30,
+  // How long a claimed reminder stays reserved for the instance delivering it
+  leaseSeconds: parseInt(process.env.REMINDER_LEASE_SECONDS) || 120,
+  batchSize: parseInt(process.env.REMINDER_BATCH_SIZE) || 50,
+  maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5,
+  // Reminders more than this late (e.g. after a long outage) are dropped
+  maxLateMinutes: parseInt(process.env.REMINDER_MAX_LATE_MINUTES) || 24 * 60,
+  webhookTimeoutMs: parseInt(process.env.REMINDER_WEBHOOK_TIMEOUT_MS) || 10000,
+  channels: ['in-app', 'email', 'webhook'],
+  // Minutes before dueDate for users who never changed their defaults
+  // (negative values fire after the due date, as overdue reminders)
+  priorityDefaults: {
+    Low: [],
+    Medium: [60],
+    High: [24 * 60, 60]
+  }
+};
\ No newline at end of file
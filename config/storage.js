@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { cloudinary } = require('./cloudinary');
+
+const MB = 1024 * 1024;
+
+// What may be attached to todos and how much each user may store
+const attachmentPolicy = {
+  maxFileSize: (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB,
+  userQuota: (parseInt(process.env.ATTACHMENT_USER_QUOTA_MB) || 100) * MB,
+  maxPerTodo: parseInt(process.env.ATTACHMENT_MAX_PER_TODO) || 20,
+  allowedMimeTypes: process.env.ATTACHMENT_MIME_TYPES
+    ? process.env.ATTACHMENT_MIME_TYPES.split(',').map(type => type.trim())
+    : [
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/zip'
+    ]
+};
+
+// Attachment uploads are buffered in memory and handed to the storage; their
+// type is checked against allowedMimeTypes from the content once received
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentPolicy.maxFileSize,
+    files: 1
+  }
+});
+
+// Build the attachment storage selected by ATTACHMENT_STORAGE. Every storage
+// exposes save(buffer, { folder, mimetype }) -> { key }, getDownload(key) ->
+// { stream } or { url }, and remove(key).
+//   local      - files under ATTACHMENT_DIR (default, works offline)
+//   cloudinary - private raw uploads, downloaded through short-lived signed URLs
+const createStorage = (type = process.env.ATTACHMENT_STORAGE || 'local') => {
+  switch (type) {
+    case 'local': {
+      const dir = process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads', 'attachments');
+      const filePath = (key) => path.join(dir, path.basename(key));
+      return {
+        name: 'local',
+        save: async (buffer) => {
+          const key = crypto.randomUUID();
+          await fs.promises.mkdir(dir, { recursive: true });
+          await fs.promises.writeFile(filePath(key), buffer);
+          return { key };
+        },
+        getDownload: async (key) => {
+          await fs.promises.access(filePath(key));
+          return { stream: fs.createReadStream(filePath(key)) };
+        },
+        remove: async (key) => {
+          try {
+            await fs.promises.unlink(filePath(key));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+      };
+    }
+    case 'cloudinary': {
+      const options = { resource_type: 'raw', type: 'private' };
+      return {
+        name: 'cloudinary',
+        save: (buffer, { folder = 'todo-app/attachments' } = {}) => new Promise((resolve, reject) => {
+          const stream = cloudinary.uploader.upload_stream({ ...options, folder }, (error, result) => {
+            if (error) return reject(error);
+            resolve({ key: result.public_id });
+          });
+          stream.end(buffer);
+        }),
+        getDownload: async (key) => ({
+          url: cloudinary.utils.private_download_url(key, '', {
+            ...options,
+            expires_at: Math.floor(Date.now() / 1000) + 5 * 60
+          })
+        }),
+        remove: (key) => cloudinary.uploader.destroy(key, options)
+      };
+    }
+    default:
+      throw new Error(`Unknown attachment storage: ${type}`);
+  }
+};
+
+let storages = {};
+
+// Storage by name; files keep the storage they were saved with
+const getStorage = (type = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!storages[type]) storages[type] = createStorage(type);
+  return storages[type];
+};
+
+// Replace a storage (any object exposing save, getDownload and remove)
+const setStorage = (type, customStorage) => {
+  storages = { ...storages, [type]: customStorage };
+};
+
+module.exports = { attachmentPolicy, attachmentUpload, createStorage, getStorage, setStorage };
\ No newline at end of file
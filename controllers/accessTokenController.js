@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { hasPermission } = require('../utils/permissions');
+
+// Admin scopes may only be granted by users holding the matching permission
+const SCOPE_PERMISSIONS = {
+  'admin:reports': 'reports:view',
+  'admin:users': 'users:view',
+  'admin:todos': 'todos:view-all'
+};
+
+const allowedScopes = (req) => AccessToken.SCOPES.filter(scope =>
+  !SCOPE_PERMISSIONS[scope] || hasPermission(req, SCOPE_PERMISSIONS[scope])
+);
+
+// List current user's personal access tokens
+exports.getTokens = async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        availableScopes: allowedScopes(req)
+      }
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch access tokens',
+      error: error.message
+    });
+  }
+};
+
+// Create personal access token (the raw token is only returned here)
+exports.createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one scope is required'
+      });
+    }
+
+    const unknown = scopes.filter(scope => !AccessToken.SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scope: ${unknown.join(', ')}`
+      });
+    }
+
+    const forbidden = scopes.filter(scope => !allowedScopes(req).includes(scope));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role cannot grant scope: ${forbidden.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresInDays must be a positive number'
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const token = AccessToken.PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const accessToken = await AccessToken.create({
+      userId: req.user._id,
+      name,
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      prefix: token.slice(0, AccessToken.PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now, it will not be shown again',
+      data: {
+        token,
+        accessToken
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create access token',
+      error: error.message
+    });
+  }
+};
+
+// Revoke personal access token
+exports.revokeToken = async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.tokenId, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke access token',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,5 +1,18 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Todo = require('../models/Todo');
+const Project = require('../models/Project');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const TimeEntry = require('../models/TimeEntry');
+const { revokeAllSessions } = require('../utils/sessions');
+const { sendVerification } = require('../utils/emailVerification');
+const authConfig = require('../config/auth');
+const { isAdminTwoFactorRequired, setAdminTwoFactorRequired } = require('../utils/twoFactor');
+const { hasPermission, roleExists, canGrantRole } = require('../utils/permissions');
+const { isGlobal, tenantOf, userScope, todoScope, isTenantMember } = require('../utils/tenants');
+const { validatePassword, sendPolicyErrors } = require('../utils/passwordPolicy');
+const { timesheetRange } = require('../utils/timesheets');
 
 // Admin Dashboard with Enhanced Analytics
 exports.getDashboard = async (req, res) => {
@@ -9,25 +22,33 @@ exports.getDashboard = async (req, res) => {
     const fourteenDaysAgo = new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000));
     const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
 
+    // Everything below is limited to the caller's organization
+    const users = userScope(req);
+    const todos = await todoScope(req);
+
     // Basic counts
-    const totalUsers = await User.countDocuments({ isActive: true });
-    const totalTodos = await Todo.countDocuments();
-    const completedTodos = await Todo.countDocuments({ status: 'completed' });
+    const totalUsers = await User.countDocuments({ ...users, isActive: true });
+    const totalTodos = await Todo.countDocuments(todos);
+    const completedTodos = await Todo.countDocuments({ ...todos, status: 'completed' });
     const overdueTodos = await Todo.countDocuments({
+      ...todos,
       dueDate: { $lt: now },
       status: { $ne: 'completed' }
     });
 
     // Recent activity (last 7 days)
     const recentUsers = await User.countDocuments({
+      ...users,
       createdAt: { $gte: sevenDaysAgo }
     });
     const recentTodos = await Todo.countDocuments({
+      ...todos,
       createdAt: { $gte: sevenDaysAgo }
     });
 
     // Previous week activity (for comparison)
     const previousWeekTodos = await Todo.countDocuments({
+      ...todos,
       createdAt: { $gte: fourteenDaysAgo, $lt: sevenDaysAgo }
     });
 
@@ -35,6 +56,7 @@ exports.getDashboard = async (req, res) => {
     const avgTasksPerUser = await Todo.aggregate([
       {
         $match: {
+          ...todos,
           createdAt: { $gte: sevenDaysAgo }
         }
       },
@@ -55,6 +77,7 @@ exports.getDashboard = async (req, res) => {
 
     // Todo status distribution (for pie chart)
     const statusStats = await Todo.aggregate([
+      { $match: todos },
       {
         $group: {
           _id: '$status',
@@ -65,6 +88,7 @@ exports.getDashboard = async (req, res) => {
 
     // Category distribution
     const categoryStats = await Todo.aggregate([
+      { $match: todos },
       {
         $group: {
           _id: '$category',
@@ -74,8 +98,23 @@ exports.getDashboard = async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Most used tags
+    const tagStats = await Todo.aggregate([
+      { $match: todos },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 20 }
+    ]);
+
     // Priority distribution
     const priorityStats = await Todo.aggregate([
+      { $match: todos },
       {
         $group: {
           _id: '$priority',
@@ -88,6 +127,7 @@ exports.getDashboard = async (req, res) => {
     const dailyActivity = await Todo.aggregate([
       {
         $match: {
+          ...todos,
           createdAt: { $gte: thirtyDaysAgo }
         }
       },
@@ -118,6 +158,7 @@ exports.getDashboard = async (req, res) => {
 
     // Most active users (with task completion rates)
     const activeUsers = await Todo.aggregate([
+      { $match: todos },
       {
         $group: {
           _id: '$userId',
@@ -164,6 +205,7 @@ exports.getDashboard = async (req, res) => {
     const assignmentStats = await Todo.aggregate([
       {
         $match: {
+          ...todos,
           assignedBy: { $ne: null }
         }
       },
@@ -217,6 +259,7 @@ exports.getDashboard = async (req, res) => {
         charts: {
           statusStats,
           categoryStats,
+          tagStats,
           priorityStats,
           dailyActivity,
           activeUsers,
@@ -241,9 +284,12 @@ exports.getDashboard = async (req, res) => {
 // Get all users with enhanced filtering
 exports.getUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, role, isActive } = req.query;
+    const { page = 1, limit = 20, search, role, isActive, organizationId } = req.query;
 
-    let query = {};
+    let query = userScope(req);
+    if (organizationId && isGlobal(req)) {
+      query.organizationId = organizationId === 'none' ? null : organizationId;
+    }
     if (search) {
       query.$or = [
         { username: { $regex: search, $options: 'i' } },
@@ -342,9 +388,47 @@ exports.getUsers = async (req, res) => {
 
 exports.addUser = async (req, res) => {
 try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, role, organizationId } = req.body;
     let profileImage = null;
 
+    const passwordErrors = validatePassword(password, { username, email });
+    if (passwordErrors.length > 0) {
+      return sendPolicyErrors(res, passwordErrors);
+    }
+
+    if (role !== undefined && role !== 'user') {
+      if (!hasPermission(req, 'users:assign-roles')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission users:assign-roles required to create users with a role'
+        });
+      }
+      if (!(await roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role does not exist'
+        });
+      }
+      if (!(await canGrantRole(req, role))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Cannot grant a role with permissions you do not have'
+        });
+      }
+    }
+
+    // Organization admins add users to their own organization
+    let tenant = tenantOf(req);
+    if (organizationId !== undefined && isGlobal(req)) {
+      tenant = organizationId || null;
+      if (tenant && !(await Organization.exists({ _id: tenant }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization does not exist'
+        });
+      }
+    }
+
     if (req.file) {
       profileImage = req.file.path
        
@@ -355,10 +439,12 @@ try {
       email,
       password,
       role,
+      organizationId: tenant,
       profileImage
     });
 
     await newUser.save();
+    await sendVerification(newUser);
 
     res.status(201).json({
       success: true,
@@ -382,7 +468,7 @@ exports.getUserDetails = async (req, res) => {
     const userId = req.params.userId;
     const { page = 1, limit = 10 } = req.query;
 
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findOne({ _id: userId, ...userScope(req) }).select('-password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -528,11 +614,11 @@ exports.getUserDetails = async (req, res) => {
   }
 };
 
-// Update user (admin only)
+// Update user (role and status changes need their own permissions)
 exports.updateUser = async (req, res) => {
   try {
     const userId = req.params.userId;
-    const { role, isActive } = req.body;
+    const { role, isActive, revokeSessions, organizationId } = req.body;
 
     // Prevent admin from deactivating themselves
     if (userId === req.user._id.toString() && isActive === false) {
@@ -542,9 +628,69 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    // Changing roles and account status each need their own permission
+    if (role !== undefined) {
+      if (!hasPermission(req, 'users:assign-roles')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission users:assign-roles required'
+        });
+      }
+      if (!(await roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role does not exist'
+        });
+      }
+      if (!(await canGrantRole(req, role))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Cannot grant a role with permissions you do not have'
+        });
+      }
+    }
+    if (isActive !== undefined && !hasPermission(req, 'users:deactivate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission users:deactivate required'
+      });
+    }
+    // Moving users between organizations is for super-admins
+    if (organizationId !== undefined) {
+      if (!isGlobal(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission organizations:manage required'
+        });
+      }
+      if (organizationId && !(await Organization.exists({ _id: organizationId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization does not exist'
+        });
+      }
+    }
+
+    const target = await User.findOne({ _id: userId, ...userScope(req) });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Nobody changes an account that has permissions they don't have
+    if (!(await canGrantRole(req, target.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot change a user with permissions you do not have'
+      });
+    }
+
     const updateData = {};
     if (role !== undefined) updateData.role = role;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (organizationId !== undefined) updateData.organizationId = organizationId || null;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -559,10 +705,17 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    // Kill existing sessions on request, or when the account is deactivated
+    let revokedSessions = 0;
+    if (revokeSessions === true || isActive === false) {
+      const result = await revokeAllSessions(user._id, 'admin');
+      revokedSessions = result.modifiedCount;
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
-      data: { user }
+      data: { user, revokedSessions }
     });
   } catch (error) {
     console.error('Admin update user error:', error);
@@ -574,6 +727,37 @@ exports.updateUser = async (req, res) => {
   }
 };
 
+// Unlock an account locked by failed logins (admin only)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, ...userScope(req) },
+      { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
 // Get all todos (admin view) with enhanced filtering
 exports.getAllTodos = async (req, res) => {
   try {
@@ -583,17 +767,28 @@ exports.getAllTodos = async (req, res) => {
       status, 
       category, 
       priority, 
+      tags,
+      tagMode,
+      projectId,
       userId, 
       search,
       assignedBy,
       isAssigned
     } = req.query;
 
-    let query = {};
+    // Only todos owned by members of the caller's organization
+    let query = await todoScope(req);
     if (status) query.status = status;
     if (category) query.category = category;
     if (priority) query.priority = priority;
-    if (userId) query.userId = userId;
+    if (tags) {
+      const list = Todo.parseTags(tags);
+      query.tags = tagMode === 'any' ? { $in: list } : { $all: list };
+    }
+    if (projectId) query.projectId = Project.filterValue(projectId);
+    if (userId) {
+      query.userId = await isTenantMember(req, userId) ? userId : { $in: [] };
+    }
     if (assignedBy) query.assignedBy = assignedBy;
     if (isAssigned !== undefined) {
       query.assignedBy = isAssigned === 'true' ? { $ne: null } : null;
@@ -612,7 +807,8 @@ exports.getAllTodos = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('userId', 'username email profileImage')
-      .populate('assignedBy', 'username email');
+      .populate('assignedBy', 'username email')
+      .populate('commentCount');
 
     const total = await Todo.countDocuments(query);
 
@@ -682,13 +878,20 @@ exports.getReports = async (req, res) => {
     const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
     const fourteenDaysAgo = new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000));
 
+    // Everything below is limited to the caller's organization
+    const users = userScope(req);
+    const todos = await todoScope(req);
+
     // User activity report with enhanced metrics
     const userActivityReport = await User.aggregate([
+      { $match: users },
       {
         $lookup: {
           from: 'todos',
           localField: '_id',
           foreignField: 'userId',
+          // Trashed todos don't count
+          pipeline: [{ $match: { deletedAt: null } }],
           as: 'todos'
         }
       },
@@ -775,6 +978,7 @@ exports.getReports = async (req, res) => {
     const productivityTrends = await Todo.aggregate([
       {
         $match: {
+          ...todos,
           createdAt: { $gte: thirtyDaysAgo }
         }
       },
@@ -809,10 +1013,11 @@ exports.getReports = async (req, res) => {
 
     // System performance metrics
     const performanceMetrics = {
-      totalUsers: await User.countDocuments(),
-      activeUsers: await User.countDocuments({ isActive: true }),
-      totalTodos: await Todo.countDocuments(),
+      totalUsers: await User.countDocuments(users),
+      activeUsers: await User.countDocuments({ ...users, isActive: true }),
+      totalTodos: await Todo.countDocuments(todos),
       completionRate: await Todo.aggregate([
+        { $match: todos },
         {
           $group: {
             _id: null,
@@ -834,6 +1039,7 @@ exports.getReports = async (req, res) => {
         }
       ]),
       avgTodosPerUser: await Todo.aggregate([
+        { $match: todos },
         {
           $group: {
             _id: '$userId',
@@ -850,6 +1056,7 @@ exports.getReports = async (req, res) => {
       avgTasksLast7Days: await Todo.aggregate([
         {
           $match: {
+            ...todos,
             createdAt: { $gte: sevenDaysAgo }
           }
         },
@@ -873,6 +1080,7 @@ exports.getReports = async (req, res) => {
     const assignmentAnalytics = await Todo.aggregate([
       {
         $match: {
+          ...todos,
           assignedBy: { $ne: null }
         }
       },
@@ -935,10 +1143,63 @@ exports.getReports = async (req, res) => {
   }
 };
 
+// Admin: Team timesheet - time logged in the caller's organization between
+// ?from and ?to (default the last 30 days), optionally for one ?userId
+exports.getTeamTimesheet = async (req, res) => {
+  try {
+    const range = timesheetRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const { userId } = req.query;
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId'
+      });
+    }
+
+    const { from, to, timezone } = range;
+    const match = { ...(await todoScope(req)), startedAt: { $gte: from, $lt: to } };
+    if (userId) {
+      match.userId = await isTenantMember(req, userId)
+        ? new mongoose.Types.ObjectId(userId)
+        : { $in: [] };
+    }
+
+    const timesheet = await TimeEntry.summarize(match, { timezone });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        timezone,
+        ...timesheet,
+        generatedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Team timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate timesheet',
+      error: error.message
+    });
+  }
+};
+
 // Admin: Get users for assignment dropdown
 exports.getUsersForAssignment = async (req, res) => {
   try {
-    const users = await User.find({ isActive: true, role: 'user' })
+    const query = { ...userScope(req), isActive: true, role: 'user' };
+    if (authConfig.requireEmailVerification) query.emailVerified = true;
+
+    const users = await User.find(query)
       .select('_id username email profileImage')
       .sort({ username: 1 });
 
@@ -958,10 +1219,14 @@ exports.getUsersForAssignment = async (req, res) => {
 
 exports.getUsersForAssignment = async (req, res) => {
   try {
-    const users = await User.find({
+    const query = {
+      ...userScope(req),
       isActive: true,
       role: { $ne: 'admin' } // Exclude admin users
-    })
+    };
+    if (authConfig.requireEmailVerification) query.emailVerified = true;
+
+    const users = await User.find(query)
     .select('username email profileImage role createdAt')
     .sort({ username: 1 });
 
@@ -982,4 +1247,70 @@ exports.getUsersForAssignment = async (req, res) => {
     });
   }
 };
-          
\ No newline at end of file
+          
+
+// Get security settings
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const requireAdminTwoFactor = await isAdminTwoFactorRequired();
+    const adminsWithoutTwoFactor = await User.countDocuments({
+      role: { $in: Role.ADMIN_ROLES },
+      isActive: true,
+      twoFactorEnabled: false
+    });
+
+    res.json({
+      success: true,
+      data: {
+        settings: { requireAdminTwoFactor },
+        adminsWithoutTwoFactor
+      }
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security settings',
+      error: error.message
+    });
+  }
+};
+
+// Update security settings
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdminTwoFactor must be a boolean'
+      });
+    }
+
+    // Don't let an admin lock themselves out of the admin area
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    await setAdminTwoFactorRequired(requireAdminTwoFactor, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: {
+        settings: { requireAdminTwoFactor }
+      }
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,198 @@
+const Attachment = require('../models/Attachment');
+const User = require('../models/User');
+const { attachmentPolicy, getStorage } = require('../config/storage');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { reserveQuota, releaseQuota, removeAttachments } = require('../utils/attachments');
+
+const quotaFor = async (userId) => {
+  const user = await User.findById(userId).select('storageUsed');
+  return {
+    used: user ? user.storageUsed : 0,
+    limit: attachmentPolicy.userQuota
+  };
+};
+
+const findAttachment = async (todo, req, res, withKey = false) => {
+  const query = Attachment.findOne({ _id: req.params.attachmentId, todoId: todo._id });
+  const attachment = await (withKey ? query.select('+storageKey') : query);
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+  return attachment;
+};
+
+// List a todo's attachments, with the caller's storage quota
+exports.getAttachments = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const attachments = await Attachment.find({ todoId: todo._id })
+      .populate('userId', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        attachments,
+        quota: await quotaFor(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attachments',
+      error: error.message
+    });
+  }
+};
+
+// Upload a file (`file` field) to a todo
+exports.uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided'
+      });
+    }
+
+    // Loaded and access-checked by the upload middleware
+    const { todo } = req;
+
+    const count = await Attachment.countDocuments({ todoId: todo._id });
+    if (count >= attachmentPolicy.maxPerTodo) {
+      return res.status(400).json({
+        success: false,
+        message: `A todo cannot have more than ${attachmentPolicy.maxPerTodo} attachments`
+      });
+    }
+
+    const { size, mimetype, buffer } = req.file;
+    if (!(await reserveQuota(req.user._id, size))) {
+      return res.status(413).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: 'Uploading this file would exceed your storage quota',
+        data: { quota: await quotaFor(req.user._id) }
+      });
+    }
+
+    const storage = getStorage();
+    let saved = null;
+    try {
+      saved = await storage.save(buffer, { mimetype });
+      // Multer decodes multipart filenames as latin1
+      const filename = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+      const attachment = await Attachment.create({
+        todoId: todo._id,
+        userId: req.user._id,
+        filename,
+        mimetype,
+        size,
+        storage: storage.name,
+        storageKey: saved.key
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        data: {
+          attachment: { ...attachment.toObject(), storageKey: undefined },
+          quota: await quotaFor(req.user._id)
+        }
+      });
+    } catch (error) {
+      // Undo the upload so the quota stays accurate
+      if (saved) await storage.remove(saved.key).catch(() => {});
+      await releaseQuota(req.user._id, size);
+      throw error;
+    }
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachment',
+      error: error.message
+    });
+  }
+};
+
+// Download an attachment (streamed, or redirected to a signed URL)
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const attachment = await findAttachment(todo, req, res, true);
+    if (!attachment) return;
+
+    let download;
+    try {
+      download = await getStorage(attachment.storage).getDownload(attachment.storageKey);
+    } catch (error) {
+      console.error(`Attachment file ${attachment._id} is missing:`, error.message);
+      return res.status(410).json({
+        success: false,
+        message: 'Attachment file is no longer available'
+      });
+    }
+
+    if (download.url) {
+      return res.redirect(download.url);
+    }
+
+    res.attachment(attachment.filename);
+    res.set('Content-Type', attachment.mimetype);
+    res.set('Content-Length', attachment.size);
+    download.stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    download.stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+// Delete an attachment and free its quota
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const attachment = await findAttachment(todo, req, res);
+    if (!attachment) return;
+
+    await removeAttachments({ _id: attachment._id });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: { quota: await quotaFor(req.user._id) }
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,11 +1,28 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/authMiddleware');
+const { sendPasswordResetEmail } = require('../utils/emails');
+const { sendVerification, verifyVerificationToken } = require('../utils/emailVerification');
+const authConfig = require('../config/auth');
+const {
+  issueSession,
+  loginUser,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { createChallengeToken } = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
+const { validatePassword, isPasswordReused, sendPolicyErrors } = require('../utils/passwordPolicy');
 
 // Register user
 exports.register = async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
+    const passwordErrors = validatePassword(password, { username, email });
+    if (passwordErrors.length > 0) {
+      return sendPolicyErrors(res, passwordErrors);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -24,20 +41,42 @@ exports.register = async (req, res) => {
     const user = new User({ username, email, password });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    await sendVerification(user);
+
+    // Unverified accounts cannot sign in, so there is no session to start yet
+    if (authConfig.requireEmailVerification) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please verify your email to log in',
+        data: {
+          user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            profileImage: user.profileImage,
+            emailVerified: user.emailVerified
+          }
+        }
+      });
+    }
+
+    // Start session
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
           role: user.role,
-          profileImage: user.profileImage
+          profileImage: user.profileImage,
+          emailVerified: user.emailVerified
         }
       }
     });
@@ -55,20 +94,41 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
-console.log(email,password);
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Throttle by client IP before touching the account
+    const ipThrottle = await loginThrottle.checkIp(req.ip);
+    if (ipThrottle) {
+      return loginThrottle.sendThrottled(res, ipThrottle);
+    }
+
     // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
-console.log(user);
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
     if (!user) {
+      await loginThrottle.recordFailure(req.ip, email);
       return res.status(401).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Invalid credentials'
       });
     }
 
+    const accountThrottle = loginThrottle.checkAccount(user);
+    if (accountThrottle) {
+      return loginThrottle.sendThrottled(res, accountThrottle);
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
+        code: 'ACCOUNT_DEACTIVATED',
         message: 'Account is deactivated'
       });
     }
@@ -76,32 +136,57 @@ console.log(user);
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginThrottle.recordFailure(req.ip, email, user);
+      if (user.isLocked) {
+        return loginThrottle.sendThrottled(res, loginThrottle.checkAccount(user));
+      }
       return res.status(401).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (authConfig.requireEmailVerification && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Second step required: exchange the challenge at /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user)
+        }
+      });
+    }
+
+    // Update last login and start session
+    loginThrottle.resetFailures(user);
+    const { token, refreshToken, deletionCancelled } = await loginUser(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
           role: user.role,
           profileImage: user.profileImage,
+          emailVerified: user.emailVerified,
           lastLogin: user.lastLogin
-        }
+        },
+        deletionCancelled
       }
     });
   } catch (error) {
@@ -138,4 +223,278 @@ exports.getMe = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Refresh access token (rotates the refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result.error) {
+      const messages = {
+        reuse: 'Refresh token reuse detected, session revoked',
+        expired: 'Refresh token has expired',
+        inactive: 'Account is deactivated',
+        invalid: 'Invalid refresh token'
+      };
+      return res.status(401).json({
+        success: false,
+        message: messages[result.error]
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+// Logout current session
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    await revokeSession(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// Logout from all devices
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out from all devices',
+      error: error.message
+    });
+  }
+};
+
+// Request password reset email
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+
+    // Only send when the account exists, but never reveal that to the caller
+    if (user) {
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+      const resetToken = user.createPasswordResetToken(expiresInMinutes);
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken, expiresInMinutes);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+};
+
+// Reset password with emailed token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    const user = await User.findByResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return sendPolicyErrors(res, passwordErrors);
+    }
+
+    if (await isPasswordReused(user, password)) {
+      return sendPolicyErrors(res, ['Password was used recently, choose a different one']);
+    }
+
+    user.setPassword(password);
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Anyone holding the old password may have active sessions
+    await revokeAllSessions(user._id, 'logout-all');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+// Verify email address from emailed link
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const decoded = verifyVerificationToken(token);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // The email must still match: links for a previous address are void
+    const user = await User.findOne({ _id: decoded.userId, email: decoded.email });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// Resend verification email
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+
+    // Same response whether or not the account exists
+    if (user && !user.emailVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a verification email has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const TodoSeries = require('../models/TodoSeries');
+const Project = require('../models/Project');
+const BoardColumn = require('../models/BoardColumn');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { rejectIfBlocked } = require('../utils/dependencies');
+const { syncTodoReminders } = require('../utils/reminders');
+const { recordTodoChange } = require('../utils/todoHistory');
+const { rankBetween } = require('../utils/rank');
+
+const STATUS_TITLES = { pending: 'To do', 'in-progress': 'In progress', completed: 'Done' };
+const DEFAULT_CARDS = 100;
+const MAX_CARDS = 500;
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Column with this name already exists on this board'
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Give todos created before manual ordering existed a place at the end of
+// their owner's board, oldest first
+const ensureRanks = async (userId) => {
+  const unranked = await Todo.find({ userId, rank: null })
+    .setOptions({ withDeleted: true })
+    .sort({ createdAt: 1 })
+    .select('_id');
+  if (unranked.length === 0) return;
+
+  const last = await Todo.findOne({ userId, rank: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ rank: -1 })
+    .select('rank');
+
+  let rank = last ? last.rank : null;
+  await Todo.bulkWrite(unranked.map(todo => {
+    rank = rankBetween(rank, null);
+    return { updateOne: { filter: { _id: todo._id, rank: null }, update: { rank } } };
+  }));
+};
+
+// Rank that places an item right after `afterId` and/or right before
+// `beforeId`, looked up in `model` within `scope` (`selfId` is the item being
+// moved, if it exists yet). With one neighbour the other side is the next item
+// of the whole ordering, so the item lands next to that neighbour whichever
+// column it is shown in; with none it goes last.
+const rankForMove = async (model, scope, selfId, afterId, beforeId) => {
+  const neighbour = async (id) => {
+    if (!mongoose.isValidObjectId(id) || (selfId && selfId.equals(id))) return null;
+    return model.findOne({ ...scope, _id: id });
+  };
+
+  let after = null;
+  let before = null;
+  if (afterId) {
+    after = await neighbour(afterId);
+    if (!after) return { error: 'afterId not found on this board' };
+  }
+  if (beforeId) {
+    before = await neighbour(beforeId);
+    if (!before) return { error: 'beforeId not found on this board' };
+  }
+
+  const others = selfId ? { ...scope, _id: { $ne: selfId } } : scope;
+  if (after && !before) {
+    before = await model.findOne({ ...others, rank: { $gt: after.rank } }).sort({ rank: 1 });
+  } else if (before && !after) {
+    after = await model.findOne({ ...others, rank: { $lt: before.rank } }).sort({ rank: -1 });
+  } else if (!after && !before) {
+    after = await model.findOne({ ...others, rank: { $ne: null } }).sort({ rank: -1 });
+  }
+
+  if (after && before && after.rank >= before.rank) {
+    return { error: 'afterId must come before beforeId' };
+  }
+  return { rank: rankBetween(after ? after.rank : null, before ? before.rank : null) };
+};
+
+// Get the board: columns with their ordered cards. Columns are the statuses,
+// or with ?groupBy=column the user's custom columns plus "No column".
+exports.getBoard = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { groupBy = 'status', projectId, category, priority, tags, tagMode } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_CARDS, 1), MAX_CARDS);
+
+    if (!['status', 'column'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be status or column'
+      });
+    }
+
+    await ensureRanks(userId);
+
+    const query = { userId };
+    if (projectId) query.projectId = Project.filterValue(projectId);
+    if (category) query.category = category;
+    if (priority) query.priority = priority;
+    if (tags) {
+      const list = Todo.parseTags(tags);
+      query.tags = tagMode === 'any' ? { $in: list } : { $all: list };
+    }
+
+    const todos = await Todo.find(query)
+      .sort({ rank: 1, _id: 1 })
+      .populate('assignedBy', 'username email')
+      .populate('commentCount');
+
+    const column = (fields, cards) => ({ ...fields, count: cards.length, cards: cards.slice(0, limit) });
+
+    let columns;
+    if (groupBy === 'status') {
+      columns = Todo.schema.path('status').enumValues.map(status => column(
+        { id: status, title: STATUS_TITLES[status] },
+        todos.filter(todo => todo.status === status)
+      ));
+    } else {
+      // Each project has its own columns; the general board has those without one
+      const boardColumns = await BoardColumn.find({
+        userId,
+        projectId: projectId ? Project.filterValue(projectId) : null
+      }).sort({ rank: 1, _id: 1 });
+      const known = new Set(boardColumns.map(boardColumn => boardColumn._id.toString()));
+
+      columns = [
+        column(
+          { id: null, title: 'No column' },
+          todos.filter(todo => !todo.boardColumnId || !known.has(todo.boardColumnId.toString()))
+        ),
+        ...boardColumns.map(boardColumn => column(
+          { id: boardColumn._id, title: boardColumn.name, color: boardColumn.color },
+          todos.filter(todo => todo.boardColumnId && todo.boardColumnId.equals(boardColumn._id))
+        ))
+      ];
+    }
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        projectId: projectId || null,
+        columns
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get board', 'Failed to fetch board');
+  }
+};
+
+// Move a card: optionally to another status and/or custom column, placed
+// after `afterId` and/or before `beforeId`. Only the moved todo is written.
+exports.moveTodo = async (req, res) => {
+  try {
+    const { status, columnId, afterId, beforeId, force } = req.body;
+
+    if (status !== undefined && !Todo.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    // Unfinished blockers keep a todo from starting or completing
+    if (status !== undefined && await rejectIfBlocked(res, todo, status, force === true)) return;
+
+    const update = {};
+    if (columnId !== undefined) {
+      if (columnId && !(mongoose.isValidObjectId(columnId) &&
+          await BoardColumn.exists({ _id: columnId, userId: todo.userId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Board column not found'
+        });
+      }
+      update.boardColumnId = columnId || null;
+    }
+    if (status !== undefined && status !== todo.status) {
+      update.status = status;
+      update.completedAt = status === 'completed' ? todo.completedAt || new Date() : null;
+    }
+
+    await ensureRanks(todo.userId);
+    const placement = await rankForMove(Todo, { userId: todo.userId }, todo._id, afterId, beforeId);
+    if (placement.error) {
+      return res.status(400).json({
+        success: false,
+        message: placement.error
+      });
+    }
+    update.rank = placement.rank;
+
+    // Status, column and position change in a single write
+    const moved = await Todo.findOneAndUpdate(
+      { _id: todo._id },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!moved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Todo not found'
+      });
+    }
+
+    let nextOccurrence = null;
+    if (update.status) {
+      await syncTodoReminders(moved);
+      await recordTodoChange({ before: todo, after: moved, actorId: req.user._id, context: 'board' });
+
+      // Completing an occurrence of a recurring todo generates the next one
+      if (status === 'completed' && moved.seriesId) {
+        nextOccurrence = await TodoSeries.spawnNext(moved);
+        if (nextOccurrence) {
+          await syncTodoReminders(nextOccurrence);
+          await recordTodoChange({ after: nextOccurrence, actorId: req.user._id, context: 'recurrence' });
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Todo moved successfully',
+      data: { todo: moved, nextOccurrence }
+    });
+  } catch (error) {
+    handleError(res, error, 'Move todo', 'Failed to move todo');
+  }
+};
+
+// Add a custom column at the end of the general board or a project's board
+exports.createColumn = async (req, res) => {
+  try {
+    const { name, color, projectId = null } = req.body;
+    const userId = req.user._id;
+
+    if (projectId && !(mongoose.isValidObjectId(projectId) &&
+        await Project.exists({ _id: projectId, userId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const placement = await rankForMove(BoardColumn, { userId, projectId: projectId || null }, null);
+    const boardColumn = await BoardColumn.create({
+      userId,
+      projectId: projectId || null,
+      name,
+      color,
+      rank: placement.rank
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Column created successfully',
+      data: { column: boardColumn }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create column', 'Failed to create column');
+  }
+};
+
+// Rename, recolor or reorder (afterId / beforeId) a custom column
+exports.updateColumn = async (req, res) => {
+  try {
+    const { name, color, afterId, beforeId } = req.body;
+
+    const boardColumn = await BoardColumn.findOne({ _id: req.params.columnId, userId: req.user._id });
+    if (!boardColumn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Column not found'
+      });
+    }
+
+    if (afterId !== undefined || beforeId !== undefined) {
+      const scope = { userId: boardColumn.userId, projectId: boardColumn.projectId };
+      const placement = await rankForMove(BoardColumn, scope, boardColumn._id, afterId, beforeId);
+      if (placement.error) {
+        return res.status(400).json({
+          success: false,
+          message: placement.error
+        });
+      }
+      boardColumn.rank = placement.rank;
+    }
+    if (name !== undefined) boardColumn.name = name;
+    if (color !== undefined) boardColumn.color = color;
+    await boardColumn.save();
+
+    res.json({
+      success: true,
+      message: 'Column updated successfully',
+      data: { column: boardColumn }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update column', 'Failed to update column');
+  }
+};
+
+// Delete a custom column; its todos move to "No column"
+exports.deleteColumn = async (req, res) => {
+  try {
+    const removed = await BoardColumn.removeColumns({ _id: req.params.columnId, userId: req.user._id });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Column not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Column deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete column', 'Failed to delete column');
+  }
+};
\ No newline at end of file
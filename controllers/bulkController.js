@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const TodoSeries = require('../models/TodoSeries');
+const { canEditTodo, canManageTodo } = require('../utils/todoAccess');
+const { hasPermission } = require('../utils/permissions');
+const { userScope } = require('../utils/tenants');
+const { findOpenBlockers, BLOCKED_STATUSES } = require('../utils/dependencies');
+const { syncTodoReminders } = require('../utils/reminders');
+const { recordTodoChange } = require('../utils/todoHistory');
+const { afterTrash } = require('../utils/trash');
+
+const MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 100;
+const ACTIONS = ['status', 'shiftDueDate', 'update', 'delete', 'reassign'];
+const MINUTE = 60 * 1000;
+
+const badRequest = (res, message) => res.status(400).json({ success: false, message });
+
+// Check the request and resolve anything shared by all items; sends the
+// error response and returns null when invalid
+const parseOperation = async (req, res) => {
+  const { ids, action, status, force, days = 0, minutes = 0, category, priority, projectId, assignToUserId } = req.body;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    badRequest(res, 'ids must be a non-empty array of todo ids');
+    return null;
+  }
+  const uniqueIds = [...new Set(ids.map(String))];
+  if (uniqueIds.length > MAX_ITEMS) {
+    badRequest(res, `At most ${MAX_ITEMS} todos can be changed at once`);
+    return null;
+  }
+  if (!ACTIONS.includes(action)) {
+    badRequest(res, `action must be one of: ${ACTIONS.join(', ')}`);
+    return null;
+  }
+
+  const operation = { ids: uniqueIds, action, force: force === true };
+
+  if (action === 'status') {
+    if (!Todo.schema.path('status').enumValues.includes(status)) {
+      badRequest(res, 'A valid status is required');
+      return null;
+    }
+    operation.status = status;
+  }
+
+  if (action === 'shiftDueDate') {
+    if (!Number.isInteger(days) || !Number.isInteger(minutes) || (days === 0 && minutes === 0)) {
+      badRequest(res, 'Provide a whole number of days and/or minutes to shift due dates by');
+      return null;
+    }
+    operation.shiftMs = (days * 24 * 60 + minutes) * MINUTE;
+  }
+
+  if (action === 'update') {
+    if (category === undefined && priority === undefined && projectId === undefined) {
+      badRequest(res, 'Provide a category, priority and/or projectId');
+      return null;
+    }
+    if (priority !== undefined && !Todo.schema.path('priority').enumValues.includes(priority)) {
+      badRequest(res, 'Invalid priority');
+      return null;
+    }
+    operation.category = category;
+    operation.priority = priority;
+    operation.projectId = projectId;
+  }
+
+  if (action === 'reassign') {
+    if (!hasPermission(req, 'todos:assign')) {
+      res.status(403).json({
+        success: false,
+        message: 'Permission todos:assign required'
+      });
+      return null;
+    }
+    // Access tokens need the admin scope to reassign, as on POST /assign
+    if (req.auth.type === 'token' && !req.auth.scopes.includes('admin:todos')) {
+      res.status(403).json({
+        success: false,
+        code: 'INSUFFICIENT_SCOPE',
+        message: 'Access token is missing required scope: admin:todos'
+      });
+      return null;
+    }
+    operation.assignee = mongoose.isValidObjectId(assignToUserId)
+      ? await User.findAssignable(assignToUserId, userScope(req))
+      : null;
+    if (!operation.assignee) {
+      res.status(404).json({
+        success: false,
+        message: 'User to assign to not found'
+      });
+      return null;
+    }
+  }
+
+  return operation;
+};
+
+// Work out the update for one todo, or the reason it can't be changed
+const planItem = async (req, operation, id, todo) => {
+  if (!todo) return { id, error: 'Todo not found' };
+  // Collaborators can edit shared todos but not delete or reassign them
+  const allowed = ['delete', 'reassign'].includes(operation.action)
+    ? await canManageTodo(req, todo)
+    : await canEditTodo(req, todo);
+  if (!allowed) return { id, error: 'Access denied' };
+
+  const update = {};
+  switch (operation.action) {
+    case 'status': {
+      if (BLOCKED_STATUSES.includes(operation.status) && operation.status !== todo.status && !operation.force) {
+        const blockers = await findOpenBlockers(todo);
+        if (blockers.length > 0) {
+          return { id, error: `Blocked by ${blockers.length} unfinished todo(s)`, code: 'TODO_BLOCKED' };
+        }
+      }
+      update.status = operation.status;
+      update.completedAt = operation.status === 'completed' ? todo.completedAt || new Date() : null;
+      break;
+    }
+    case 'shiftDueDate':
+      update.dueDate = new Date(todo.dueDate.getTime() + operation.shiftMs);
+      break;
+    case 'update':
+      if (operation.category !== undefined) {
+        const category = await Category.resolveName(todo.userId, operation.category);
+        if (!category) {
+          return { id, error: `Unknown category: ${operation.category}` };
+        }
+        update.category = category;
+      }
+      if (operation.priority !== undefined) update.priority = operation.priority;
+      if (operation.projectId !== undefined) {
+        if (operation.projectId && !(await Project.isAssignable(operation.projectId, todo.userId))) {
+          return { id, error: 'Project not found or archived' };
+        }
+        update.projectId = operation.projectId || null;
+      }
+      break;
+    case 'delete':
+      update.deletedAt = new Date();
+      update.deletedBy = req.user._id;
+      break;
+    case 'reassign': {
+      const category = await Category.resolveName(operation.assignee._id, todo.category);
+      if (!category) {
+        return { id, error: `Category ${todo.category} does not exist for the new owner` };
+      }
+      // The new owner's spelling of the category
+      if (category !== todo.category) update.category = category;
+      update.userId = operation.assignee._id;
+      update.assignedBy = req.user._id;
+      // Projects and board columns are per owner, so the todo leaves them
+      if (todo.projectId) update.projectId = null;
+      if (todo.boardColumnId) update.boardColumnId = null;
+      // The new owner no longer needs a share
+      update.$pull = { sharedWith: { userId: operation.assignee._id } };
+      break;
+    }
+  }
+
+  return { id, todo, update };
+};
+
+// Write one planned change; returns the updated todo or null if it vanished meanwhile
+const applyUpdate = ({ todo, update }, session = null) => {
+  return Todo.findOneAndUpdate(
+    { _id: todo._id, deletedAt: null },
+    update,
+    { new: true, runValidators: true, session }
+  );
+};
+
+// Reminders, history and recurrence for a change that was written
+const afterUpdate = async (req, operation, before, after) => {
+  if (operation.action === 'delete') {
+    return afterTrash(before, req.user._id, 'bulk');
+  }
+
+  await syncTodoReminders(after);
+  await recordTodoChange({ before, after, actorId: req.user._id, context: 'bulk' });
+
+  if (after.status === 'completed' && before.status !== 'completed' && after.seriesId) {
+    const nextOccurrence = await TodoSeries.spawnNext(after);
+    if (nextOccurrence) {
+      await syncTodoReminders(nextOccurrence);
+      await recordTodoChange({ after: nextOccurrence, actorId: req.user._id, context: 'recurrence' });
+    }
+  }
+};
+
+const summarize = (results) => ({
+  requested: results.length,
+  succeeded: results.filter(result => result.success).length,
+  failed: results.filter(result => !result.success).length
+});
+
+// Apply one action to many todos. Each todo is authorized on its own and
+// reported on its own; with `transactional: true` either every todo is
+// changed or none is.
+exports.bulkUpdateTodos = async (req, res) => {
+  try {
+    const operation = await parseOperation(req, res);
+    if (!operation) return;
+
+    const validIds = operation.ids.filter(id => mongoose.isValidObjectId(id));
+    const todos = await Todo.find({ _id: { $in: validIds } });
+    const byId = new Map(todos.map(todo => [todo._id.toString(), todo]));
+
+    const plans = [];
+    for (const id of operation.ids) {
+      plans.push(await planItem(req, operation, id, byId.get(id)));
+    }
+
+    const results = [];
+
+    if (req.body.transactional === true) {
+      const failed = plans.filter(plan => plan.error);
+      if (failed.length > 0) {
+        const report = plans.map(plan => (plan.error
+          ? { id: plan.id, success: false, message: plan.error, code: plan.code }
+          : { id: plan.id, success: false, message: 'Not applied because other todos failed' }));
+        return res.status(409).json({
+          success: false,
+          message: `${failed.length} todo(s) cannot be changed; nothing was applied`,
+          data: { results: report, summary: summarize(report) }
+        });
+      }
+
+      const updated = new Map();
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          updated.clear();
+          for (const plan of plans) {
+            const after = await applyUpdate(plan, session);
+            if (!after) throw new Error(`Todo ${plan.id} changed during the operation`);
+            updated.set(plan.id, after);
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      for (const plan of plans) {
+        const after = updated.get(plan.id);
+        await afterUpdate(req, operation, plan.todo, after);
+        results.push({ id: plan.id, success: true, todo: after });
+      }
+    } else {
+      for (const plan of plans) {
+        if (plan.error) {
+          results.push({ id: plan.id, success: false, message: plan.error, code: plan.code });
+          continue;
+        }
+        try {
+          const after = await applyUpdate(plan);
+          if (!after) {
+            results.push({ id: plan.id, success: false, message: 'Todo not found' });
+            continue;
+          }
+          await afterUpdate(req, operation, plan.todo, after);
+          results.push({ id: plan.id, success: true, todo: after });
+        } catch (error) {
+          results.push({ id: plan.id, success: false, message: error.message });
+        }
+      }
+    }
+
+    // Deleted todos are reported by id only
+    if (operation.action === 'delete') {
+      results.forEach(result => { delete result.todo; });
+    }
+
+    const summary = summarize(results);
+    res.json({
+      success: summary.failed === 0,
+      message: `${summary.succeeded} of ${summary.requested} todo(s) updated`,
+      data: { results, summary }
+    });
+  } catch (error) {
+    // Standalone servers have no transactions (IllegalOperation)
+    if (error.code === 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transactional mode requires MongoDB running as a replica set'
+      });
+    }
+    console.error('Bulk update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply bulk operation',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
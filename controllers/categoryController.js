@@ -0,0 +1,230 @@
+const Category = require('../models/Category');
+const Todo = require('../models/Todo');
+const TodoSeries = require('../models/TodoSeries');
+const { recordTodoChange, snapshot } = require('../utils/todoHistory');
+
+const { DEFAULT_CATEGORIES } = Category;
+
+const isDefaultName = (name) =>
+  DEFAULT_CATEGORIES.some(category => category.toLowerCase() === String(name || '').trim().toLowerCase());
+
+// Save a category, turning validation and duplicate-name errors into 400/409
+const saveCategory = async (category, res) => {
+  try {
+    await category.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+      return false;
+    }
+    if (error.code === 11000) {
+      res.status(409).json({
+        success: false,
+        message: 'Category with this name already exists'
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Move the user's todos (and series templates) from one category to another.
+// `from` matches in any casing, like category names themselves.
+const moveTodos = async (req, from, to) => {
+  // Trashed todos move too, so they are still valid when restored
+  const todos = await Todo.find({ userId: req.user._id, category: from })
+    .setOptions({ withDeleted: true })
+    .collation(Category.COLLATION)
+    .select('title userId category');
+
+  await Todo.updateMany(
+    { _id: { $in: todos.map(todo => todo._id) } },
+    { category: to },
+    { withDeleted: true }
+  );
+  await TodoSeries.updateMany(
+    { userId: req.user._id, 'template.category': from },
+    { 'template.category': to },
+    { collation: Category.COLLATION }
+  );
+
+  for (const todo of todos) {
+    await recordTodoChange({
+      before: todo,
+      after: { ...snapshot(todo), category: to },
+      actorId: req.user._id,
+      context: 'category'
+    });
+  }
+  return todos.length;
+};
+
+// Get default and custom categories with todo counts
+exports.getCategories = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const categories = await Category.find({ userId })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 })
+      .lean();
+
+    const todoCounts = await Todo.aggregate([
+      { $match: { userId } },
+      // Todos saved before names were normalised may use another casing
+      { $group: { _id: { $toLower: '$category' }, count: { $sum: 1 } } }
+    ]);
+    const countByName = Object.fromEntries(todoCounts.map(item => [item._id, item.count]));
+    const countFor = (name) => countByName[name.toLowerCase()] || 0;
+
+    res.json({
+      success: true,
+      data: {
+        categories: [
+          ...DEFAULT_CATEGORIES.map(name => ({
+            name,
+            color: null,
+            icon: null,
+            isDefault: true,
+            todoCount: countFor(name)
+          })),
+          ...categories.map(category => ({
+            ...category,
+            isDefault: false,
+            todoCount: countFor(category.name)
+          }))
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: error.message
+    });
+  }
+};
+
+// Create custom category
+exports.createCategory = async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    if (isDefaultName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A built-in category with this name already exists'
+      });
+    }
+
+    const category = new Category({
+      userId: req.user._id,
+      name,
+      color,
+      icon
+    });
+    if (!(await saveCategory(category, res))) return;
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+};
+
+// Update custom category. A rename is applied to the user's todos as well.
+exports.updateCategory = async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    const category = await Category.findOne({ _id: req.params.categoryId, userId: req.user._id });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (name !== undefined && isDefaultName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A built-in category with this name already exists'
+      });
+    }
+
+    const oldName = category.name;
+    if (name !== undefined) category.name = name;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    if (!(await saveCategory(category, res))) return;
+
+    if (category.name !== oldName) {
+      await moveTodos(req, oldName, category.name);
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+};
+
+// Delete custom category. Its todos move to `reassignTo` (default 'Other').
+exports.deleteCategory = async (req, res) => {
+  try {
+    const { reassignTo = 'Other' } = req.body || {};
+
+    const category = await Category.findOne({ _id: req.params.categoryId, userId: req.user._id });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const target = await Category.resolveName(req.user._id, reassignTo);
+    if (!target || target === category.name) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move todos to category: ${reassignTo}`
+      });
+    }
+
+    const movedTodos = await moveTodos(req, category.name, target);
+    await Category.findByIdAndDelete(category._id);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { movedTodos, reassignedTo: target }
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,175 @@
+const TodoSeries = require('../models/TodoSeries');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { syncTodoReminders } = require('../utils/reminders');
+const { recordTodoChange, snapshot } = require('../utils/todoHistory');
+const { findOpenBlockers } = require('../utils/dependencies');
+
+// Save after a checklist change. With autoCompleteOnChecklist, finishing the
+// last item completes the todo unless it still has unfinished blockers; a
+// completed recurring todo generates its next occurrence.
+const saveTodo = async (todo, req) => {
+  const before = snapshot(todo);
+  if (todo.autoCompleteOnChecklist && todo.status !== 'completed' && todo.checklist.length > 0 &&
+      todo.checklist.every(item => item.completed) && (await findOpenBlockers(todo)).length === 0) {
+    todo.status = 'completed';
+  }
+  await todo.save();
+  if (before.status !== 'completed' && todo.status === 'completed') {
+    await syncTodoReminders(todo);
+    await recordTodoChange({ before, after: todo, actorId: req.user._id, context: 'checklist' });
+
+    const nextOccurrence = await TodoSeries.spawnNext(todo);
+    if (nextOccurrence) {
+      await syncTodoReminders(nextOccurrence);
+      await recordTodoChange({ after: nextOccurrence, actorId: req.user._id, context: 'recurrence' });
+    }
+  }
+};
+
+const findItem = (todo, req, res) => {
+  const item = todo.checklist.id(req.params.itemId);
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+  }
+  return item;
+};
+
+const sendChecklist = (res, todo, message, status = 200) => {
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      checklist: todo.checklist,
+      checklistProgress: todo.checklistProgress,
+      status: todo.status,
+      completedAt: todo.completedAt
+    }
+  });
+};
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Add checklist item (appended, or inserted at `position`)
+exports.addChecklistItem = async (req, res) => {
+  try {
+    const { text, position } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const index = Number.isInteger(position)
+      ? Math.max(0, Math.min(position, todo.checklist.length))
+      : todo.checklist.length;
+    todo.checklist.splice(index, 0, { text });
+
+    await saveTodo(todo, req);
+    sendChecklist(res, todo, 'Checklist item added successfully', 201);
+  } catch (error) {
+    handleError(res, error, 'Add checklist item', 'Failed to add checklist item');
+  }
+};
+
+// Update checklist item text and/or completion
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { text, completed } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const item = findItem(todo, req, res);
+    if (!item) return;
+
+    if (text !== undefined) item.text = text;
+    if (completed !== undefined) {
+      item.completed = !!completed;
+      item.completedAt = item.completed ? item.completedAt || new Date() : null;
+    }
+
+    await saveTodo(todo, req);
+    sendChecklist(res, todo, 'Checklist item updated successfully');
+  } catch (error) {
+    handleError(res, error, 'Update checklist item', 'Failed to update checklist item');
+  }
+};
+
+// Toggle checklist item completion
+exports.toggleChecklistItem = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const item = findItem(todo, req, res);
+    if (!item) return;
+
+    item.completed = !item.completed;
+    item.completedAt = item.completed ? new Date() : null;
+
+    await saveTodo(todo, req);
+    sendChecklist(res, todo, 'Checklist item updated successfully');
+  } catch (error) {
+    handleError(res, error, 'Toggle checklist item', 'Failed to update checklist item');
+  }
+};
+
+// Reorder checklist: body.itemIds lists every item id in the new order
+exports.reorderChecklist = async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const currentIds = todo.checklist.map(item => item._id.toString());
+    if (!Array.isArray(itemIds) || itemIds.length !== currentIds.length ||
+        new Set(itemIds.map(String)).size !== currentIds.length ||
+        !itemIds.every(id => currentIds.includes(String(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every checklist item exactly once'
+      });
+    }
+
+    const items = itemIds.map(id => todo.checklist.id(id).toObject());
+    todo.checklist = items;
+
+    await saveTodo(todo, req);
+    sendChecklist(res, todo, 'Checklist reordered successfully');
+  } catch (error) {
+    handleError(res, error, 'Reorder checklist', 'Failed to reorder checklist');
+  }
+};
+
+// Remove checklist item
+exports.removeChecklistItem = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const item = findItem(todo, req, res);
+    if (!item) return;
+
+    item.deleteOne();
+
+    await saveTodo(todo, req);
+    sendChecklist(res, todo, 'Checklist item removed successfully');
+  } catch (error) {
+    handleError(res, error, 'Remove checklist item', 'Failed to remove checklist item');
+  }
+};
\ No newline at end of file
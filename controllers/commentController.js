@@ -0,0 +1,299 @@
+const Comment = require('../models/Comment');
+const Todo = require('../models/Todo');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { hasPermission } = require('../utils/permissions');
+const { tenantTodoIds, isTenantMember } = require('../utils/tenants');
+
+const AUTHOR_FIELDS = 'username profileImage';
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1
+});
+
+const isAuthor = (req, comment) => comment.userId.toString() === req.user._id.toString();
+
+const findComment = async (todo, req, res, select = '') => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, todoId: todo._id }).select(select);
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+  return comment;
+};
+
+// Get a todo's comments, oldest first. Moderators may include deleted ones.
+exports.getComments = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = { todoId: todo._id };
+    const includeDeleted = req.query.includeDeleted === 'true' && hasPermission(req, 'comments:moderate');
+    if (!includeDeleted) query.deletedAt = null;
+
+    const comments = await Comment.find(query)
+      .populate('userId', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get comments', 'Failed to fetch comments');
+  }
+};
+
+// Post a comment on a todo the caller can see
+exports.addComment = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const comment = await Comment.create({
+      todoId: todo._id,
+      userId: req.user._id,
+      body: req.body.body
+    });
+    await comment.populate('userId', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    handleError(res, error, 'Add comment', 'Failed to add comment');
+  }
+};
+
+// Edit own comment; the previous text goes to the edit history
+exports.updateComment = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const comment = await findComment(todo, req, res, '+editHistory');
+    if (!comment) return;
+
+    if (!isAuthor(req, comment) || comment.deletedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : req.body.body;
+    if (body !== comment.body) {
+      comment.editHistory.push({ body: comment.body, editedAt: new Date() });
+      comment.body = body;
+      comment.editedAt = new Date();
+      await comment.save();
+    }
+    await comment.populate('userId', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment: { ...comment.toObject(), editHistory: undefined } }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update comment', 'Failed to update comment');
+  }
+};
+
+// Delete a comment: the author, or a moderator (with an optional reason)
+exports.deleteComment = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const comment = await findComment(todo, req, res);
+    if (!comment) return;
+
+    const moderating = !isAuthor(req, comment);
+    if (moderating && !hasPermission(req, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or a moderator can delete this comment'
+      });
+    }
+
+    if (!comment.deletedAt) {
+      comment.deletedAt = new Date();
+      comment.deletedBy = req.user._id;
+      comment.moderationReason = moderating ? (req.body && req.body.reason) || null : null;
+      await comment.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete comment', 'Failed to delete comment');
+  }
+};
+
+// Edit history of a comment (author or moderator)
+exports.getCommentHistory = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const comment = await findComment(todo, req, res, '+editHistory');
+    if (!comment) return;
+
+    if (!isAuthor(req, comment) && !hasPermission(req, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        current: { body: comment.body, editedAt: comment.editedAt },
+        history: comment.editHistory
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get comment history', 'Failed to fetch comment history');
+  }
+};
+
+// Load req.params.commentId if it is on a todo owned in the caller's organization
+const findTenantComment = async (req) => {
+  const comment = await Comment.findById(req.params.commentId);
+  if (!comment) return null;
+
+  const todo = await Todo.findById(comment.todoId)
+    .setOptions({ withDeleted: true })
+    .select('userId');
+  if (!todo || !(await isTenantMember(req, todo.userId))) return null;
+  return comment;
+};
+
+// Admin: recent comments across all todos, for moderation
+exports.getAllComments = async (req, res) => {
+  try {
+    const { userId, todoId, status, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+    if (userId) query.userId = userId;
+    if (todoId) query.todoId = todoId;
+    // Only comments on todos owned in the caller's organization
+    const todoIds = await tenantTodoIds(req);
+    if (todoIds) query.$and = [{ todoId: { $in: todoIds } }];
+    if (status === 'deleted') query.deletedAt = { $ne: null };
+    if (status === 'active') query.deletedAt = null;
+    if (search) query.body = { $regex: search, $options: 'i' };
+
+    const comments = await Comment.find(query)
+      .populate('userId', 'username email')
+      .populate('todoId', 'title userId')
+      .populate('deletedBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get all comments', 'Failed to fetch comments');
+  }
+};
+
+// Admin: remove a comment
+exports.moderateComment = async (req, res) => {
+  try {
+    const comment = await findTenantComment(req);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    comment.deletedAt = comment.deletedAt || new Date();
+    comment.deletedBy = req.user._id;
+    comment.moderationReason = (req.body && req.body.reason) || null;
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: 'Comment removed',
+      data: { comment }
+    });
+  } catch (error) {
+    handleError(res, error, 'Moderate comment', 'Failed to remove comment');
+  }
+};
+
+// Admin: bring back a deleted comment
+exports.restoreComment = async (req, res) => {
+  try {
+    let comment = await findTenantComment(req);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    comment = await Comment.findByIdAndUpdate(
+      comment._id,
+      { deletedAt: null, deletedBy: null, moderationReason: null },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment restored',
+      data: { comment }
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore comment', 'Failed to restore comment');
+  }
+};
\ No newline at end of file
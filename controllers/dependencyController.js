@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const { findTodoForUser, canViewTodo } = require('../utils/todoAccess');
+const { recordTodoChange, snapshot } = require('../utils/todoHistory');
+const {
+  wouldCreateCycle,
+  findOpenBlockers,
+  buildGraph,
+  criticalPath,
+  describeLinkedTodos,
+  LINK_SELECT
+} = require('../utils/dependencies');
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Get what a todo is blocked by and what it blocks
+exports.getDependencies = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const blockedBy = await Todo.find({ _id: { $in: todo.blockedBy } }).select(LINK_SELECT);
+    const blocks = await Todo.find({ blockedBy: todo._id }).select(LINK_SELECT);
+
+    res.json({
+      success: true,
+      data: {
+        blockedBy: await describeLinkedTodos(req, blockedBy),
+        blocks: await describeLinkedTodos(req, blocks),
+        isBlocked: blockedBy.some(blocker => blocker.status !== 'completed')
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get dependencies', 'Failed to fetch dependencies');
+  }
+};
+
+// Make a todo wait for another one (`blockerId`)
+exports.addDependency = async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    if (!mongoose.isValidObjectId(blockerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid blockerId is required'
+      });
+    }
+
+    const blocker = await Todo.findById(blockerId);
+    if (!blocker || !(await canViewTodo(req, blocker))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking todo not found'
+      });
+    }
+
+    if (await wouldCreateCycle(todo._id, blocker._id)) {
+      return res.status(409).json({
+        success: false,
+        code: 'DEPENDENCY_CYCLE',
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    const before = snapshot(todo);
+    todo.blockedBy.addToSet(blocker._id);
+    await todo.save();
+    await recordTodoChange({ before, after: todo, actorId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: {
+        blockedBy: todo.blockedBy,
+        openBlockers: await findOpenBlockers(todo)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Add dependency', 'Failed to add dependency');
+  }
+};
+
+// Remove a blocked-by link
+exports.removeDependency = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const linked = todo.blockedBy.some(id => id.toString() === req.params.blockerId);
+    if (!linked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    const before = snapshot(todo);
+    todo.blockedBy.pull(req.params.blockerId);
+    await todo.save();
+    await recordTodoChange({ before, after: todo, actorId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: { blockedBy: todo.blockedBy }
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove dependency', 'Failed to remove dependency');
+  }
+};
+
+// Dependency graph and critical path around a set of todos (`ids`,
+// comma-separated). Without ids, every linked todo of the user is used.
+exports.getDependencyGraph = async (req, res) => {
+  try {
+    let roots;
+    if (req.query.ids) {
+      const ids = String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.some(id => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'ids must be a comma-separated list of todo ids'
+        });
+      }
+
+      roots = await Todo.find({ _id: { $in: ids } }).select('userId sharedWith');
+      const visible = await Promise.all(roots.map(todo => canViewTodo(req, todo)));
+      if (roots.length !== new Set(ids).size || visible.includes(false)) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more todos not found'
+        });
+      }
+    } else {
+      roots = await Todo.find({
+        userId: req.user._id,
+        'blockedBy.0': { $exists: true }
+      }).select('_id');
+    }
+
+    const graph = await buildGraph(req, roots.map(todo => todo._id));
+
+    res.json({
+      success: true,
+      data: {
+        ...graph,
+        criticalPath: criticalPath(graph)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get dependency graph', 'Failed to build dependency graph');
+  }
+};
\ No newline at end of file
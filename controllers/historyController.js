@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const TodoHistory = require('../models/TodoHistory');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { todoScope, isTenantMember } = require('../utils/tenants');
+const { TRACKED_FIELDS } = require('../utils/todoHistory');
+
+const ACTIONS = TodoHistory.schema.path('action').enumValues;
+
+const pageParams = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit };
+};
+
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1
+});
+
+// Get the change history of a todo, newest first
+exports.getTodoHistory = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const { page, limit } = pageParams(req.query);
+    const query = { todoId: todo._id };
+
+    const history = await TodoHistory.find(query)
+      .populate('actorId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await TodoHistory.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Get todo history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch todo history',
+      error: error.message
+    });
+  }
+};
+
+// Admin: change feed across all todos, filterable by todo, actor, owner,
+// action, changed field and date range
+exports.getHistoryFeed = async (req, res) => {
+  try {
+    const { todoId, actorId, ownerId, action, field, from, to } = req.query;
+    const { page, limit } = pageParams(req.query);
+
+    const ids = { todoId, actorId, ownerId };
+    for (const [name, value] of Object.entries(ids)) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`
+        });
+      }
+    }
+
+    if (action && !ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${ACTIONS.join(', ')}`
+      });
+    }
+    if (field && !TRACKED_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `field must be one of: ${TRACKED_FIELDS.join(', ')}`
+      });
+    }
+
+    const dates = { from, to };
+    for (const [name, value] of Object.entries(dates)) {
+      if (value && (typeof value !== 'string' || isNaN(new Date(value)))) {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be a valid date`
+        });
+      }
+    }
+
+    // Only changes to todos owned in the caller's organization
+    const query = await todoScope(req, 'ownerId');
+    if (ownerId) {
+      query.ownerId = await isTenantMember(req, ownerId) ? ownerId : { $in: [] };
+    }
+    if (todoId) query.todoId = todoId;
+    if (actorId) query.actorId = actorId;
+    if (action) query.action = action;
+    if (field) query['changes.field'] = field;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const history = await TodoHistory.find(query)
+      .populate('actorId', 'username email')
+      .populate('ownerId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await TodoHistory.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Get history feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch history',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const oidcConfig = require('../config/oidc');
+const oidc = require('../utils/oidc');
+const { loginUser } = require('../utils/sessions');
+const loginThrottle = require('../utils/loginThrottle');
+const { createChallengeToken } = require('../utils/twoFactor');
+const { roleExists } = require('../utils/permissions');
+
+const LOGIN_STATE_MINUTES = 10;
+
+// Pick a free username based on the IdP's preferred username or the email
+const uniqueUsername = async (claims) => {
+  const base = (claims.preferred_username || claims.email.split('@')[0])
+    .replace(/[^\w.-]/g, '')
+    .slice(0, 40)
+    .padEnd(3, '0');
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+};
+
+// Start SSO login: redirect to the identity provider
+exports.oidcLogin = async (req, res) => {
+  try {
+    if (!oidcConfig.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const params = oidc.createLoginParams();
+    await OidcLoginState.create({
+      state: params.state,
+      nonce: params.nonce,
+      codeVerifier: params.codeVerifier,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_MINUTES * 60 * 1000)
+    });
+
+    const authorizationUrl = await oidc.buildAuthorizationUrl(params);
+
+    // SPAs can ask for the URL instead of following a redirect
+    if (req.query.mode === 'json') {
+      return res.json({
+        success: true,
+        data: { authorizationUrl }
+      });
+    }
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start single sign-on',
+      error: error.message
+    });
+  }
+};
+
+// SSO callback: validate the response, link or provision the user, start a session
+exports.oidcCallback = async (req, res) => {
+  try {
+    if (!oidcConfig.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { code, state, error: idpError, error_description: idpErrorDescription } = req.query;
+
+    if (idpError) {
+      return res.status(400).json({
+        success: false,
+        message: `Identity provider returned an error: ${idpErrorDescription || idpError}`
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    // Single use: the state is removed as it is read
+    const loginState = await OidcLoginState.findOneAndDelete({
+      state: String(state),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!loginState) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login state, please try again'
+      });
+    }
+
+    const tokens = await oidc.exchangeCode(String(code), loginState.codeVerifier);
+    let claims;
+    try {
+      claims = await oidc.verifyIdToken(tokens.id_token, loginState.nonce);
+    } catch (verifyError) {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid ID token: ${verifyError.message}`
+      });
+    }
+
+    if (!claims.email || claims.email_verified !== true) {
+      return res.status(403).json({
+        success: false,
+        message: 'Identity provider did not supply a verified email address'
+      });
+    }
+
+    const email = claims.email.toLowerCase();
+    let user = await User.findOne({ oidcIssuer: claims.iss, oidcSubject: claims.sub });
+
+    // Link an existing local account by verified email
+    if (!user) {
+      user = await User.findOne({ email });
+      if (user) {
+        if (user.oidcSubject) {
+          return res.status(409).json({
+            success: false,
+            message: 'This email is already linked to a different SSO identity'
+          });
+        }
+        // Whoever registered an unverified address may not own it; linking
+        // would leave their password working on the SSO user's account
+        if (!user.emailVerified) {
+          return res.status(409).json({
+            success: false,
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'An account with this email exists but its email is not verified. ' +
+              'Verify it or reset its password before signing in with SSO'
+          });
+        }
+        user.oidcIssuer = claims.iss;
+        user.oidcSubject = claims.sub;
+      }
+    }
+
+    if (!user) {
+      if (!oidcConfig.autoProvision) {
+        return res.status(403).json({
+          success: false,
+          message: 'No account exists for this identity'
+        });
+      }
+
+      user = new User({
+        username: await uniqueUsername(claims),
+        email,
+        oidcIssuer: claims.iss,
+        oidcSubject: claims.sub
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        code: 'ACCOUNT_DEACTIVATED',
+        message: 'Account is deactivated'
+      });
+    }
+
+    // SSO is subject to the same lockout as a password login
+    const accountThrottle = !user.isNew && loginThrottle.checkAccount(user);
+    if (accountThrottle) {
+      return loginThrottle.sendThrottled(res, accountThrottle);
+    }
+
+    // Keep the role in sync with IdP groups when a mapping is configured
+    const mappedRole = oidc.mapGroupsToRole(claims[oidcConfig.groupsClaim]);
+    if (mappedRole && await roleExists(mappedRole)) {
+      user.role = mappedRole;
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    // The account's own second factor still applies: exchange the challenge
+    // at /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      await user.save();
+      const challengeToken = createChallengeToken(user);
+
+      if (oidcConfig.clientCallbackUrl) {
+        const fragment = new URLSearchParams({ twoFactorRequired: 'true', challengeToken });
+        return res.redirect(`${oidcConfig.clientCallbackUrl}#${fragment.toString()}`);
+      }
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken
+        }
+      });
+    }
+
+    // Update last login and start session
+    const { token, refreshToken, deletionCancelled } = await loginUser(user, req);
+
+    if (oidcConfig.clientCallbackUrl) {
+      const fragment = new URLSearchParams({ token, refreshToken });
+      return res.redirect(`${oidcConfig.clientCallbackUrl}#${fragment.toString()}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          profileImage: user.profileImage,
+          emailVerified: user.emailVerified,
+          lastLogin: user.lastLogin
+        },
+        deletionCancelled
+      }
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
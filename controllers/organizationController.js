@@ -0,0 +1,154 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+
+// Save an organization, turning validation and duplicate-name errors into 400/409
+const saveOrganization = async (organization, res) => {
+  try {
+    await organization.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+      return false;
+    }
+    if (error.code === 11000) {
+      res.status(409).json({
+        success: false,
+        message: 'Organization with this name already exists'
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Get all organizations with member counts
+exports.getOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find()
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 })
+      .lean();
+
+    // _id null counts the users outside any organization
+    const memberCounts = await User.aggregate([
+      { $group: { _id: '$organizationId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(memberCounts.map(item => [String(item._id), item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map(organization => ({
+          ...organization,
+          memberCount: countById.get(organization._id.toString()) || 0
+        })),
+        unassignedUsers: countById.get('null') || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch organizations',
+      error: error.message
+    });
+  }
+};
+
+// Create organization
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const organization = new Organization({
+      name,
+      description,
+      createdBy: req.user._id
+    });
+    if (!(await saveOrganization(organization, res))) return;
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create organization',
+      error: error.message
+    });
+  }
+};
+
+// Update organization
+exports.updateOrganization = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const organization = await Organization.findById(req.params.organizationId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+    if (!(await saveOrganization(organization, res))) return;
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update organization',
+      error: error.message
+    });
+  }
+};
+
+// Delete organization; its members have to be moved out first
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.organizationId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const memberCount = await User.countDocuments({ organizationId: organization._id });
+    if (memberCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Organization still has ${memberCount} member(s)`
+      });
+    }
+
+    await Organization.findByIdAndDelete(organization._id);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete organization',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
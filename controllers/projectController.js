@@ -0,0 +1,220 @@
+const Project = require('../models/Project');
+const BoardColumn = require('../models/BoardColumn');
+const Todo = require('../models/Todo');
+const TodoSeries = require('../models/TodoSeries');
+const { trashTodo } = require('../utils/trash');
+const { recordTodoChange, snapshot } = require('../utils/todoHistory');
+
+// Save a project, turning validation and duplicate-name errors into 400/409
+const saveProject = async (project, res) => {
+  try {
+    await project.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+      return false;
+    }
+    if (error.code === 11000) {
+      res.status(409).json({
+        success: false,
+        message: 'Project with this name already exists'
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+const withProgress = (project, progress) => ({
+  ...project.toObject(),
+  progress: progress.get(project._id.toString())
+});
+
+// Get the user's projects with progress. Archived ones only with ?archived=true
+// (or ?archived=all for both).
+exports.getProjects = async (req, res) => {
+  try {
+    const { archived } = req.query;
+
+    const query = { userId: req.user._id };
+    if (archived !== 'all') query.archived = archived === 'true';
+
+    const projects = await Project.find(query)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+    const progress = await Project.progressFor(projects.map(project => project._id));
+
+    res.json({
+      success: true,
+      data: {
+        projects: projects.map(project => withProgress(project, progress))
+      }
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch projects',
+      error: error.message
+    });
+  }
+};
+
+// Get a single project with progress
+exports.getProject = async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.projectId, userId: req.user._id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const progress = await Project.progressFor([project._id]);
+
+    res.json({
+      success: true,
+      data: { project: withProgress(project, progress) }
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch project',
+      error: error.message
+    });
+  }
+};
+
+// Create project
+exports.createProject = async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    const project = new Project({
+      userId: req.user._id,
+      name,
+      description,
+      color
+    });
+    if (!(await saveProject(project, res))) return;
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project',
+      error: error.message
+    });
+  }
+};
+
+// Update project; `archived` archives or unarchives it. Archived projects keep
+// their todos but cannot receive new ones.
+exports.updateProject = async (req, res) => {
+  try {
+    const { name, description, color, archived } = req.body;
+
+    const project = await Project.findOne({ _id: req.params.projectId, userId: req.user._id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (name !== undefined) project.name = name;
+    if (description !== undefined) project.description = description;
+    if (color !== undefined) project.color = color;
+    if (archived !== undefined && !!archived !== project.archived) {
+      project.archived = !!archived;
+      project.archivedAt = project.archived ? new Date() : null;
+    }
+    if (!(await saveProject(project, res))) return;
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project',
+      error: error.message
+    });
+  }
+};
+
+// Delete project. Its todos are kept outside any project, or moved to the
+// trash with `deleteTodos: true`.
+exports.deleteProject = async (req, res) => {
+  try {
+    const { deleteTodos = false } = req.body || {};
+
+    const project = await Project.findOne({ _id: req.params.projectId, userId: req.user._id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Trashed todos are detached too, so they are still valid when restored
+    const todos = await Todo.find({ projectId: project._id })
+      .setOptions({ withDeleted: true });
+
+    let trashedTodos = 0;
+    if (deleteTodos === true) {
+      for (const todo of todos.filter(todo => !todo.deletedAt)) {
+        if (await trashTodo(todo, req.user._id, 'project')) trashedTodos++;
+      }
+    }
+
+    await Todo.updateMany(
+      { projectId: project._id },
+      { projectId: null },
+      { withDeleted: true }
+    );
+    await TodoSeries.updateMany(
+      { 'template.projectId': project._id },
+      { 'template.projectId': null }
+    );
+    await BoardColumn.removeColumns({ projectId: project._id });
+
+    for (const todo of todos) {
+      await recordTodoChange({
+        before: todo,
+        after: { ...snapshot(todo), projectId: null },
+        actorId: req.user._id,
+        context: 'project'
+      });
+    }
+
+    await Project.findByIdAndDelete(project._id);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      data: { detachedTodos: todos.length, trashedTodos }
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete project',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
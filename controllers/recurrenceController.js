@@ -0,0 +1,237 @@
+const Todo = require('../models/Todo');
+const TodoSeries = require('../models/TodoSeries');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const { normalizeRule } = require('../utils/recurrence');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { trashTodo } = require('../utils/trash');
+const { syncTodoReminders } = require('../utils/reminders');
+const { recordTodoChange, snapshot } = require('../utils/todoHistory');
+
+const TEMPLATE_FIELDS = ['title', 'description', 'category', 'projectId', 'priority', 'tags', 'autoCompleteOnChecklist'];
+
+// Get the series (rule and template) of a recurring todo
+exports.getSeries = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    if (!todo.seriesId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Todo is not recurring'
+      });
+    }
+
+    const series = await TodoSeries.findById(todo.seriesId);
+    const occurrences = await Todo.find({ seriesId: todo.seriesId })
+      .select('title dueDate status completedAt occurrenceIndex')
+      .sort({ occurrenceIndex: 1 });
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurrence',
+      error: error.message
+    });
+  }
+};
+
+// Skip this occurrence: generate the next one and remove this one
+exports.skipOccurrence = async (req, res) => {
+  try {
+    // Skipping trashes the occurrence, so it takes owner-level access
+    const todo = await findTodoForUser(req, res, 'manage');
+    if (!todo) return;
+
+    if (!todo.seriesId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only occurrences of a recurring todo can be skipped'
+      });
+    }
+
+    if (todo.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'A completed occurrence cannot be skipped'
+      });
+    }
+
+    // The next occurrence may already exist (e.g. this one was completed and reopened)
+    let nextOccurrence;
+    if (todo.nextOccurrenceId) {
+      nextOccurrence = await Todo.findById(todo.nextOccurrenceId);
+    } else {
+      nextOccurrence = await TodoSeries.spawnNext(todo);
+      if (nextOccurrence) {
+        await syncTodoReminders(nextOccurrence);
+        await recordTodoChange({ after: nextOccurrence, actorId: req.user._id, context: 'recurrence' });
+      }
+    }
+    // Skipped occurrences go to the trash like deleted todos
+    await trashTodo(todo, req.user._id, 'skip');
+
+    res.json({
+      success: true,
+      message: nextOccurrence
+        ? 'Occurrence skipped'
+        : 'Occurrence skipped, this was the last one in the series',
+      data: { nextOccurrence }
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+      error: error.message
+    });
+  }
+};
+
+// Edit this and all future occurrences. Also turns a one-off todo into a
+// recurring one (`recurrence` rule) or stops a series (`recurrence: null`).
+exports.updateSeries = async (req, res) => {
+  try {
+    const { recurrence, dueDate } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+    const before = snapshot(todo);
+
+    if (!todo.seriesId && !recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Todo is not recurring; provide a recurrence rule to make it recurring'
+      });
+    }
+
+    let rule;
+    if (recurrence) {
+      const normalized = normalizeRule(recurrence);
+      if (normalized.errors) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.errors[0],
+          errors: normalized.errors
+        });
+      }
+      rule = normalized.rule;
+    }
+
+    const changes = {};
+    for (const field of TEMPLATE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (changes.tags !== undefined) changes.tags = Todo.parseTags(changes.tags);
+    if (changes.category !== undefined) {
+      const category = await Category.resolveName(todo.userId, changes.category);
+      if (!category) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown category: ${changes.category}`
+        });
+      }
+      changes.category = category;
+    }
+    if (changes.projectId !== undefined) {
+      if (changes.projectId && !(await Project.isAssignable(changes.projectId, todo.userId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Project not found or archived'
+        });
+      }
+      changes.projectId = changes.projectId || null;
+    }
+
+    // This occurrence
+    Object.assign(todo, changes);
+    if (dueDate !== undefined) todo.dueDate = new Date(dueDate);
+    await todo.validate();
+
+    let series = todo.seriesId ? await TodoSeries.findById(todo.seriesId) : null;
+
+    if (recurrence === null) {
+      // Stop the series after this occurrence
+      if (series) {
+        series.endedAt = new Date();
+        await series.save();
+      }
+    } else if (!series) {
+      series = await TodoSeries.create({
+        userId: todo.userId,
+        assignedBy: todo.assignedBy,
+        template: TodoSeries.templateFrom(todo),
+        rule,
+        anchorDate: todo.dueDate
+      });
+      todo.seriesId = series._id;
+      todo.occurrenceIndex = 1;
+    } else {
+      series.template = TodoSeries.templateFrom(todo);
+      // A new rule (or moved date) re-anchors the series at this occurrence;
+      // only a new rule restarts a stopped series
+      if (rule || dueDate !== undefined) {
+        if (rule) {
+          series.rule = rule;
+          series.endedAt = null;
+        }
+        series.anchorDate = todo.dueDate;
+      }
+      await series.save();
+    }
+
+    await todo.save();
+    await syncTodoReminders(todo);
+    await recordTodoChange({ before, after: todo, actorId: req.user._id });
+
+    // Future occurrences that already exist and are not done yet
+    if (series && Object.keys(changes).length > 0) {
+      const futureQuery = {
+        seriesId: series._id,
+        occurrenceIndex: { $gt: todo.occurrenceIndex },
+        status: { $ne: 'completed' }
+      };
+      const futureBefore = await Todo.find(futureQuery);
+      await Todo.updateMany(futureQuery, changes, { runValidators: true });
+
+      for (const previous of futureBefore) {
+        const future = await Todo.findById(previous._id);
+        await recordTodoChange({ before: previous, after: future, actorId: req.user._id, context: 'series' });
+        // A new priority means different default reminders
+        if (changes.priority !== undefined) await syncTodoReminders(future);
+      }
+    }
+
+    await todo.populate([
+      { path: 'userId', select: 'username email profileImage' },
+      { path: 'assignedBy', select: 'username email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: recurrence === null
+        ? 'Recurrence stopped'
+        : 'This and future occurrences updated successfully',
+      data: { todo, series }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring todo',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
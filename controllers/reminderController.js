@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const reminderConfig = require('../config/reminders');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { computeFireAt, defaultOffsets } = require('../utils/reminders');
+const { checkWebhookUrl } = require('../utils/webhooks');
+
+const PRIORITIES = Object.keys(reminderConfig.priorityDefaults);
+const MAX_OFFSET_MINUTES = 365 * 24 * 60;
+
+const isOffset = (value) => Number.isInteger(value) && Math.abs(value) <= MAX_OFFSET_MINUTES;
+
+const SETTINGS_FIELDS = '+reminderSettings.webhookSecret';
+
+const newWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+const invalidChannels = (channels) =>
+  channels.filter(channel => !reminderConfig.channels.includes(channel));
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Get a todo's reminders (custom and default)
+exports.getReminders = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const reminders = await Reminder.find({ todoId: todo._id })
+      .select('-lockedBy -lockedUntil')
+      .sort({ fireAt: 1 });
+
+    res.json({
+      success: true,
+      data: { reminders }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get reminders', 'Failed to fetch reminders');
+  }
+};
+
+// Add a reminder: `remindAt` (absolute time) or `minutesBefore` dueDate
+exports.addReminder = async (req, res) => {
+  try {
+    const { remindAt, minutesBefore, channels = [] } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    if ((remindAt === undefined) === (minutesBefore === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either remindAt or minutesBefore'
+      });
+    }
+    if (remindAt !== undefined && isNaN(new Date(remindAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'remindAt must be a valid date'
+      });
+    }
+    if (minutesBefore !== undefined && !isOffset(minutesBefore)) {
+      return res.status(400).json({
+        success: false,
+        message: 'minutesBefore must be a whole number of minutes (negative for after the due date)'
+      });
+    }
+    if (!Array.isArray(channels) || invalidChannels(channels).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Channels must be a list of: ${reminderConfig.channels.join(', ')}`
+      });
+    }
+
+    const reminder = new Reminder({
+      todoId: todo._id,
+      userId: todo.userId,
+      source: 'custom',
+      remindAt: remindAt !== undefined ? new Date(remindAt) : null,
+      minutesBefore: minutesBefore !== undefined ? minutesBefore : null,
+      channels: [...new Set(channels)]
+    });
+    reminder.fireAt = computeFireAt(reminder, todo);
+
+    if (reminder.fireAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminder time is in the past'
+      });
+    }
+    if (todo.status === 'completed') reminder.status = 'cancelled';
+
+    await reminder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder added successfully',
+      data: { reminder }
+    });
+  } catch (error) {
+    handleError(res, error, 'Add reminder', 'Failed to add reminder');
+  }
+};
+
+// Remove a reminder that has not been sent yet
+exports.deleteReminder = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const reminder = await Reminder.findOneAndDelete({
+      _id: req.params.reminderId,
+      todoId: todo._id,
+      status: { $in: ['pending', 'cancelled', 'failed'] }
+    });
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found or already sent'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete reminder', 'Failed to delete reminder');
+  }
+};
+
+const settingsResponse = (user) => ({
+  channels: user.reminderSettings.channels,
+  webhookUrl: user.reminderSettings.webhookUrl,
+  // Receivers verify X-Todo-Signature with this key
+  webhookSecret: user.reminderSettings.webhookSecret,
+  defaults: Object.fromEntries(PRIORITIES.map(priority => [priority, defaultOffsets(user, priority)])),
+  availableChannels: reminderConfig.channels
+});
+
+// Get the user's reminder channels and per-priority defaults
+exports.getReminderSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SETTINGS_FIELDS);
+
+    // Webhooks set up before per-user secrets existed get one now
+    if (user.reminderSettings.webhookUrl && !user.reminderSettings.webhookSecret) {
+      user.reminderSettings.webhookSecret = newWebhookSecret();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: { settings: settingsResponse(user) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get reminder settings', 'Failed to fetch reminder settings');
+  }
+};
+
+// Update reminder channels, webhook URL and/or per-priority defaults.
+// New defaults apply to todos as they are created or changed;
+// rotateWebhookSecret: true replaces the webhook signing key.
+exports.updateReminderSettings = async (req, res) => {
+  try {
+    const { channels, webhookUrl, defaults, rotateWebhookSecret } = req.body;
+
+    const user = await User.findById(req.user._id).select(SETTINGS_FIELDS);
+
+    if (channels !== undefined) {
+      if (!Array.isArray(channels) || channels.length === 0 || invalidChannels(channels).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Channels must be a non-empty list of: ${reminderConfig.channels.join(', ')}`
+        });
+      }
+      user.reminderSettings.channels = [...new Set(channels)];
+    }
+
+    if (webhookUrl) {
+      // The server calls this URL, so it must not reach internal addresses
+      const problem = typeof webhookUrl === 'string' ? await checkWebhookUrl(webhookUrl) : 'Invalid webhook URL';
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+    if (webhookUrl !== undefined) user.reminderSettings.webhookUrl = webhookUrl || null;
+    if (user.reminderSettings.webhookUrl &&
+        (rotateWebhookSecret === true || !user.reminderSettings.webhookSecret)) {
+      user.reminderSettings.webhookSecret = newWebhookSecret();
+    }
+
+    if (defaults !== undefined) {
+      for (const [priority, offsets] of Object.entries(defaults || {})) {
+        if (!PRIORITIES.includes(priority) || !Array.isArray(offsets) || !offsets.every(isOffset)) {
+          return res.status(400).json({
+            success: false,
+            message: `Defaults must map ${PRIORITIES.join(', ')} to lists of minutes before the due date`
+          });
+        }
+        user.reminderSettings.defaults[priority] = [...new Set(offsets)].sort((a, b) => b - a);
+      }
+    }
+
+    if (user.reminderSettings.channels.includes('webhook') && !user.reminderSettings.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'A webhook URL is required for the webhook channel'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder settings updated successfully',
+      data: { settings: settingsResponse(user) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update reminder settings', 'Failed to update reminder settings');
+  }
+};
\ No newline at end of file
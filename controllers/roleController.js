@@ -0,0 +1,220 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { clearPermissionCache, hasPermission, canGrantRole } = require('../utils/permissions');
+const { userScope } = require('../utils/tenants');
+
+const invalidPermissions = (permissions) =>
+  permissions.filter(permission => !Role.PERMISSIONS.includes(permission));
+
+// Respond 403 unless the caller holds every permission being granted, so no
+// one can build a role above their own; returns true when the response was sent
+const rejectUngrantable = (req, res, permissions) => {
+  const missing = permissions.filter(permission => !hasPermission(req, permission));
+  if (missing.length === 0) return false;
+
+  res.status(403).json({
+    success: false,
+    message: `Cannot grant permissions you do not have: ${missing.join(', ')}`
+  });
+  return true;
+};
+
+// Get all roles with member counts
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    // Members are counted within the caller's organization
+    const memberCounts = await User.aggregate([
+      { $match: userScope(req) },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(memberCounts.map(item => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({ ...role, memberCount: countByRole[role.name] || 0 })),
+        availablePermissions: Role.PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: error.message
+    });
+  }
+};
+
+// Create custom role
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array'
+      });
+    }
+
+    const unknown = invalidPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission: ${unknown.join(', ')}`
+      });
+    }
+    if (rejectUngrantable(req, res, permissions)) return;
+
+    const existingRole = await Role.findOne({ name: String(name || '').toLowerCase().trim() });
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role',
+      error: error.message
+    });
+  }
+};
+
+// Update custom role (name is fixed, since users reference it)
+exports.updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be modified'
+      });
+    }
+
+    // Nobody changes a role that has permissions they don't have
+    if (!(await canGrantRole(req, role.name))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot change a role with permissions you do not have'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be an array'
+        });
+      }
+
+      const unknown = invalidPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permission: ${unknown.join(', ')}`
+        });
+      }
+      if (rejectUngrantable(req, res, permissions)) return;
+      role.permissions = [...new Set(permissions)];
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    clearPermissionCache(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: error.message
+    });
+  }
+};
+
+// Delete custom role (only when no user has it)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const memberCount = await User.countDocuments({ role: role.name });
+    if (memberCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${memberCount} user(s). Reassign them first`
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    clearPermissionCache(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { findTodoForUser, canManageTodo } = require('../utils/todoAccess');
+
+const PERMISSIONS = ['viewer', 'editor'];
+const SHARE_USER_FIELDS = 'username email profileImage';
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const invalidPermission = (res) => res.status(400).json({
+  success: false,
+  message: `permission must be one of: ${PERMISSIONS.join(', ')}`
+});
+
+const findShare = (todo, userId) => todo.sharedWith.find(
+  share => (share.userId._id || share.userId).toString() === String(userId)
+);
+
+// Get who a todo is shared with
+exports.getShares = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    await todo.populate([
+      { path: 'userId', select: SHARE_USER_FIELDS },
+      { path: 'sharedWith.userId', select: SHARE_USER_FIELDS },
+      { path: 'sharedWith.sharedBy', select: 'username' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner: todo.userId,
+        shares: todo.sharedWith
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get shares', 'Failed to fetch shares');
+  }
+};
+
+// Share a todo with a user, found by username or email (`user`). Sharing
+// again with the same user changes their permission.
+exports.shareTodo = async (req, res) => {
+  try {
+    const { user: identifier, permission = 'viewer' } = req.body;
+
+    if (!PERMISSIONS.includes(permission)) return invalidPermission(res);
+    if (!identifier || typeof identifier !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email of the user to share with is required'
+      });
+    }
+
+    const todo = await findTodoForUser(req, res, 'manage');
+    if (!todo) return;
+
+    // Collaborators come from the owner's organization
+    const owner = await User.findById(todo.userId).select('organizationId');
+    const field = identifier.includes('@') ? 'email' : 'username';
+    const user = await User.findOne({
+      [field]: field === 'email' ? identifier.trim().toLowerCase() : identifier.trim(),
+      isActive: true,
+      organizationId: owner ? owner.organizationId : null
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(todo.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner already has access to this todo'
+      });
+    }
+
+    const existing = findShare(todo, user._id);
+    if (existing) {
+      existing.permission = permission;
+    } else {
+      todo.sharedWith.push({ userId: user._id, permission, sharedBy: req.user._id });
+    }
+    await todo.save();
+
+    if (!existing) {
+      await Notification.create({
+        userId: user._id,
+        type: 'share',
+        todoId: todo._id,
+        title: `${req.user.username} shared "${todo.title}" with you`,
+        message: permission === 'editor' ? 'You can view and edit it.' : 'You can view it.'
+      });
+    }
+
+    await todo.populate('sharedWith.userId', SHARE_USER_FIELDS);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Share updated successfully' : 'Todo shared successfully',
+      data: { share: findShare(todo, user._id) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Share todo', 'Failed to share todo');
+  }
+};
+
+// Change a collaborator's permission
+exports.updateShare = async (req, res) => {
+  try {
+    const { permission } = req.body;
+    if (!PERMISSIONS.includes(permission)) return invalidPermission(res);
+
+    const todo = await findTodoForUser(req, res, 'manage');
+    if (!todo) return;
+
+    const share = findShare(todo, req.params.userId);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+
+    share.permission = permission;
+    await todo.save();
+
+    res.json({
+      success: true,
+      message: 'Share updated successfully',
+      data: { share }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update share', 'Failed to update share');
+  }
+};
+
+// Revoke a collaborator's access; collaborators may also remove themselves
+exports.revokeShare = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const leaving = req.params.userId === req.user._id.toString();
+    if (!leaving && !(await canManageTodo(req, todo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can revoke access'
+      });
+    }
+
+    const share = findShare(todo, req.params.userId);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+
+    todo.sharedWith = todo.sharedWith.filter(item => item !== share);
+    await todo.save();
+
+    res.json({
+      success: true,
+      message: leaving ? 'You no longer have access to this todo' : 'Access revoked successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Revoke share', 'Failed to revoke access');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const { findTodoForUser, canManageTodo } = require('../utils/todoAccess');
+const { timesheetRange } = require('../utils/timesheets');
+
+const MAX_ENTRY_HOURS = 24;
+
+const pageParams = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit };
+};
+
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1
+});
+
+const handleError = (res, error, label, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+// Start/end of a manual entry: startedAt plus either endedAt or minutes.
+// Returns { error } when they don't describe a finished, plausible period.
+const entryPeriod = ({ startedAt, endedAt, minutes }) => {
+  const start = new Date(startedAt);
+  const end = endedAt !== undefined
+    ? new Date(endedAt)
+    : new Date(start.getTime() + Number(minutes) * 60 * 1000);
+
+  if (!startedAt || isNaN(start)) return { error: 'startedAt must be a valid date' };
+  if (endedAt === undefined && minutes === undefined) return { error: 'endedAt or minutes is required' };
+  if (isNaN(end)) return { error: 'endedAt must be a valid date and minutes a number' };
+  if (end <= start) return { error: 'The entry must end after it starts' };
+  if (end > new Date()) return { error: 'Time entries cannot end in the future' };
+  if (end - start > MAX_ENTRY_HOURS * 60 * 60 * 1000) {
+    return { error: `A time entry cannot exceed ${MAX_ENTRY_HOURS} hours` };
+  }
+  return { startedAt: start, endedAt: end };
+};
+
+// Load an entry of the todo that the caller logged, or may correct as the
+// todo's manager; sends the error response and returns null otherwise
+const findEntryForUser = async (req, res, todo) => {
+  const entry = mongoose.isValidObjectId(req.params.entryId)
+    ? await TimeEntry.findOne({ _id: req.params.entryId, todoId: todo._id })
+    : null;
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Time entry not found'
+    });
+    return null;
+  }
+
+  if (!entry.userId.equals(req.user._id) && !(await canManageTodo(req, todo))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+  return entry;
+};
+
+// Get a todo's time entries, newest first, with its totals
+exports.getTimeEntries = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const { page, limit } = pageParams(req.query);
+    const query = { todoId: todo._id };
+
+    const entries = await TimeEntry.find(query)
+      .populate('userId', 'username email')
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await TimeEntry.countDocuments(query);
+    const { totalSeconds, byUser } = await TimeEntry.summarize(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        totals: { totalSeconds, byUser },
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get time entries', 'Failed to fetch time entries');
+  }
+};
+
+// Get the caller's running timer (null when none is running)
+exports.getCurrentTimer = async (req, res) => {
+  try {
+    const timer = await TimeEntry.findOne({ userId: req.user._id, endedAt: null })
+      .populate('todoId', 'title status');
+
+    res.json({
+      success: true,
+      data: { timer }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get current timer', 'Failed to fetch timer');
+  }
+};
+
+// Start a timer on a todo. Users have one running timer at a time; with
+// force: true a timer running elsewhere is stopped first.
+exports.startTimer = async (req, res) => {
+  try {
+    const { note, force } = req.body;
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const running = await TimeEntry.findOne({ userId: req.user._id, endedAt: null });
+    if (running && force !== true) {
+      return res.status(409).json({
+        success: false,
+        message: running.todoId.equals(todo._id)
+          ? 'A timer is already running on this todo'
+          : 'Another timer is already running; stop it first or pass force: true',
+        data: { timer: running }
+      });
+    }
+
+    let stopped = null;
+    if (running) {
+      running.endedAt = new Date();
+      stopped = await running.save();
+    }
+
+    const timer = await TimeEntry.create({
+      todoId: todo._id,
+      userId: req.user._id,
+      source: 'timer',
+      startedAt: new Date(),
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: { timer, stopped }
+    });
+  } catch (error) {
+    // Another request started a timer at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another timer is already running'
+      });
+    }
+    handleError(res, error, 'Start timer', 'Failed to start timer');
+  }
+};
+
+// Stop the caller's running timer, optionally setting its note
+exports.stopTimer = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const timer = await TimeEntry.findOne({ userId: req.user._id, endedAt: null });
+    if (!timer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    timer.endedAt = new Date();
+    if (note !== undefined) timer.note = note;
+    await timer.save();
+
+    res.json({
+      success: true,
+      message: 'Timer stopped',
+      data: { timer }
+    });
+  } catch (error) {
+    handleError(res, error, 'Stop timer', 'Failed to stop timer');
+  }
+};
+
+// Log time by hand: startedAt plus endedAt or minutes
+exports.addTimeEntry = async (req, res) => {
+  try {
+    const period = entryPeriod(req.body);
+    if (period.error) return badRequest(res, period.error);
+
+    const todo = await findTodoForUser(req, res);
+    if (!todo) return;
+
+    const entry = await TimeEntry.create({
+      todoId: todo._id,
+      userId: req.user._id,
+      source: 'manual',
+      ...period,
+      note: req.body.note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry added successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    handleError(res, error, 'Add time entry', 'Failed to add time entry');
+  }
+};
+
+// Correct a time entry. Only the note of a running timer can change.
+exports.updateTimeEntry = async (req, res) => {
+  try {
+    const { startedAt, endedAt, minutes, note } = req.body;
+
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const entry = await findEntryForUser(req, res, todo);
+    if (!entry) return;
+
+    if (startedAt !== undefined || endedAt !== undefined || minutes !== undefined) {
+      if (!entry.endedAt) return badRequest(res, 'Stop the timer before changing its times');
+
+      // minutes count from the (new) start; otherwise the end stays unless given
+      const start = startedAt !== undefined ? startedAt : entry.startedAt;
+      const period = minutes !== undefined && endedAt === undefined
+        ? entryPeriod({ startedAt: start, minutes })
+        : entryPeriod({ startedAt: start, endedAt: endedAt !== undefined ? endedAt : entry.endedAt });
+      if (period.error) return badRequest(res, period.error);
+
+      entry.startedAt = period.startedAt;
+      entry.endedAt = period.endedAt;
+    }
+    if (note !== undefined) entry.note = note;
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update time entry', 'Failed to update time entry');
+  }
+};
+
+// Delete a time entry (a running timer is discarded)
+exports.deleteTimeEntry = async (req, res) => {
+  try {
+    const todo = await findTodoForUser(req, res, 'view');
+    if (!todo) return;
+
+    const entry = await findEntryForUser(req, res, todo);
+    if (!entry) return;
+
+    await TimeEntry.deleteOne({ _id: entry._id });
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete time entry', 'Failed to delete time entry');
+  }
+};
+
+// The caller's own timesheet: time logged between ?from and ?to (default the
+// last 30 days) by day, category and user
+exports.getTimesheet = async (req, res) => {
+  try {
+    const range = timesheetRange(req.query);
+    if (range.error) return badRequest(res, range.error);
+
+    const { from, to, timezone } = range;
+    const timesheet = await TimeEntry.summarize(
+      { userId: req.user._id, startedAt: { $gte: from, $lt: to } },
+      { timezone }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        timezone,
+        ...timesheet
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get timesheet', 'Failed to generate timesheet');
+  }
+};
\ No newline at end of file
@@ -1,5 +1,63 @@
 const Todo = require('../models/Todo');
 const User = require('../models/User');
+const TodoSeries = require('../models/TodoSeries');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const { normalizeRule } = require('../utils/recurrence');
+const { hasPermission } = require('../utils/permissions');
+const { rejectIfBlocked } = require('../utils/dependencies');
+const { trashTodo, purgeDate } = require('../utils/trash');
+const { syncTodoReminders } = require('../utils/reminders');
+const { recordTodoChange } = require('../utils/todoHistory');
+const { canViewTodo, canEditTodo, canManageTodo } = require('../utils/todoAccess');
+const { userScope } = require('../utils/tenants');
+
+// Stored spelling of a category the owner may use (a default or one of their
+// own, in any casing). Responds 400 and returns null for unknown categories;
+// undefined passes through.
+const resolveCategory = async (res, userId, category) => {
+  if (category === undefined) return undefined;
+  const name = await Category.resolveName(userId, category);
+  if (!name) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown category: ${category}`
+    });
+  }
+  return name;
+};
+
+// Respond 400 unless the project is one of the owner's active projects
+const rejectUnknownProject = async (res, userId, projectId) => {
+  if (!projectId || await Project.isAssignable(projectId, userId)) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Project not found or archived'
+  });
+  return true;
+};
+
+// Access tokens need the admin scope to assign to someone else, as on
+// POST /assign; responds 403 and returns true when it is missing
+const rejectAssignWithoutScope = (req, res) => {
+  if (req.auth.type !== 'token' || req.auth.scopes.includes('admin:todos')) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    code: 'INSUFFICIENT_SCOPE',
+    message: 'Access token is missing required scope: admin:todos'
+  });
+  return true;
+};
+
+// Build a tags query: todos with all listed tags, or any of them with mode 'any'
+const tagsQuery = (tags, mode) => {
+  const list = Todo.parseTags(tags);
+  return mode === 'any' ? { $in: list } : { $all: list };
+};
 
 // Get all todos for user with enhanced filtering and grouping
 exports.getTodos = async (req, res) => {
@@ -11,14 +69,17 @@ exports.getTodos = async (req, res) => {
       status, 
       category, 
       priority, 
+      tags,
+      tagMode,
+      projectId,
       search,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      group // 'today', 'all', 'completed', 'overdue'
+      group // 'today', 'all', 'completed', 'overdue', 'shared'
     } = req.query;
 
-    // Build query
-    let query = { userId };
+    // Build query; 'shared' lists other people's todos shared with the user
+    let query = group === 'shared' ? { 'sharedWith.userId': userId } : { userId };
     
     // Apply grouping filters
     if (group === 'today') {
@@ -38,9 +99,11 @@ exports.getTodos = async (req, res) => {
     }
 
     // Apply additional filters
-    if (status && !group) query.status = status;
+    if (status && (!group || group === 'shared')) query.status = status;
     if (category) query.category = category;
     if (priority) query.priority = priority;
+    if (tags) query.tags = tagsQuery(tags, tagMode);
+    if (projectId) query.projectId = Project.filterValue(projectId);
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -57,7 +120,8 @@ exports.getTodos = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('userId', 'username email profileImage')
-      .populate('assignedBy', 'username email');
+      .populate('assignedBy', 'username email')
+      .populate('commentCount');
 
     const total = await Todo.countDocuments(query);
 
@@ -90,7 +154,8 @@ exports.getTodoById = async (req, res) => {
   try {
     const todo = await Todo.findById(req.params.id)
       .populate('userId', 'username email profileImage')
-      .populate('assignedBy', 'username email');
+      .populate('assignedBy', 'username email')
+      .populate('commentCount');
 
     if (!todo) {
       return res.status(404).json({
@@ -99,8 +164,8 @@ exports.getTodoById = async (req, res) => {
       });
     }
 
-    // Check if user owns this todo or is admin
-    if (todo.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this todo, it is shared with them, or they may view everyone's todos in their organization
+    if (!(await canViewTodo(req, todo))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -121,15 +186,17 @@ exports.getTodoById = async (req, res) => {
   }
 };
 
-// Get todos by group (Today's, All, Completed, Overdue)
+// Get todos by group (Today's, All, Completed, Overdue, Shared with me)
 exports.getTodosByGroup = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { group } = req.params; // 'today', 'all', 'completed', 'overdue'
+    const { group } = req.params; // 'today', 'all', 'completed', 'overdue', 'shared'
     
     let query = { userId };
     let title = '';
 
+    if (req.query.projectId) query.projectId = Project.filterValue(req.query.projectId);
+
     switch (group) {
       case 'today':
         const today = new Date();
@@ -148,6 +215,11 @@ exports.getTodosByGroup = async (req, res) => {
         query.status = 'completed';
         title = "Completed (Archive)";
         break;
+      case 'shared':
+        delete query.userId;
+        query['sharedWith.userId'] = userId;
+        title = "Shared with me";
+        break;
       case 'overdue':
         query.dueDate = { $lt: new Date() };
         query.status = { $ne: 'completed' };
@@ -156,14 +228,15 @@ exports.getTodosByGroup = async (req, res) => {
       default:
         return res.status(400).json({
           success: false,
-          message: 'Invalid group. Use: today, all, completed, or overdue'
+          message: 'Invalid group. Use: today, all, completed, overdue, or shared'
         });
     }
 
     const todos = await Todo.find(query)
       .sort({ dueDate: 1, createdAt: -1 })
       .populate('userId', 'username email profileImage')
-      .populate('assignedBy', 'username email');
+      .populate('assignedBy', 'username email')
+      .populate('commentCount');
 
     res.json({
       success: true,
@@ -200,6 +273,7 @@ exports.getTodaysTodos = async (req, res) => {
     })
     .populate('userId', 'username email profileImage')
     .populate('assignedBy', 'username email')
+    .populate('commentCount')
     .sort({ dueDate: 1 });
 
     res.json({
@@ -227,6 +301,7 @@ exports.getOverdueTodos = async (req, res) => {
     })
     .populate('userId', 'username email profileImage')
     .populate('assignedBy', 'username email')
+    .populate('commentCount')
     .sort({ dueDate: 1 });
 
     res.json({
@@ -257,6 +332,7 @@ exports.getCompletedTodos = async (req, res) => {
     })
     .populate('userId', 'username email profileImage')
     .populate('assignedBy', 'username email')
+    .populate('commentCount')
     .sort({ completedAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -290,7 +366,7 @@ exports.getCompletedTodos = async (req, res) => {
 exports.searchTodos = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q, tags, tagMode, projectId, page = 1, limit = 20 } = req.query;
 
     if (!q || q.trim() === '') {
       return res.status(400).json({
@@ -301,26 +377,26 @@ exports.searchTodos = async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const todos = await Todo.find({
+    const query = {
       userId,
       $or: [
         { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
+        { description: { $regex: q, $options: 'i' } },
+        { tags: q.trim().toLowerCase() }
       ]
-    })
+    };
+    if (tags) query.tags = tagsQuery(tags, tagMode);
+    if (projectId) query.projectId = Project.filterValue(projectId);
+
+    const todos = await Todo.find(query)
     .populate('userId', 'username email profileImage')
     .populate('assignedBy', 'username email')
+    .populate('commentCount')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
-    const total = await Todo.countDocuments({
-      userId,
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ]
-    });
+    const total = await Todo.countDocuments(query);
 
     res.json({
       success: true,
@@ -346,17 +422,68 @@ exports.searchTodos = async (req, res) => {
   }
 };
 
+// List the user's tags with usage counts
+exports.getTags = async (req, res) => {
+  try {
+    const tags = await Todo.aggregate([
+      { $match: { userId: req.user._id } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      error: error.message
+    });
+  }
+};
+
 // Create new todo (Enhanced with assignment functionality)
 exports.createTodo = async (req, res) => {
   try {
-    const { title, description, dueDate, category, priority, assignToUserId } = req.body;
+    const {
+      title,
+      description,
+      dueDate,
+      category,
+      priority,
+      tags,
+      projectId,
+      assignToUserId,
+      checklist,
+      autoCompleteOnChecklist,
+      recurrence
+    } = req.body;
 
     let userId = req.user._id;
     let assignedBy = null;
 
-    // If admin is assigning to another user
-    if (assignToUserId && req.user.role === 'admin') {
-      const assignToUser = await User.findById(assignToUserId);
+    let rule = null;
+    if (recurrence) {
+      const normalized = normalizeRule(recurrence);
+      if (normalized.errors) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.errors[0],
+          errors: normalized.errors
+        });
+      }
+      rule = normalized.rule;
+    }
+
+    // If an assigner (admin/manager) is assigning to another user
+    if (assignToUserId && hasPermission(req, 'todos:assign')) {
+      if (rejectAssignWithoutScope(req, res)) return;
+      const assignToUser = await User.findAssignable(assignToUserId, userScope(req));
       if (!assignToUser) {
         return res.status(404).json({
           success: false,
@@ -367,17 +494,43 @@ exports.createTodo = async (req, res) => {
       assignedBy = req.user._id;
     }
 
+    const categoryName = await resolveCategory(res, userId, category);
+    if (categoryName === null) return;
+    if (await rejectUnknownProject(res, userId, projectId)) return;
+
     const todo = new Todo({
       title,
       description,
       dueDate: new Date(dueDate),
-      category,
+      category: categoryName,
+      projectId: projectId || null,
       priority: priority || 'Medium',
+      tags: Todo.parseTags(tags),
       userId,
-      assignedBy
+      assignedBy,
+      checklist: Array.isArray(checklist)
+        ? checklist.map(item => (typeof item === 'string' ? { text: item } : item))
+        : [],
+      autoCompleteOnChecklist: !!autoCompleteOnChecklist
     });
 
+    // Recurring todo: this is the first occurrence of a new series
+    if (rule) {
+      await todo.validate();
+      const series = await TodoSeries.create({
+        userId,
+        assignedBy,
+        template: TodoSeries.templateFrom(todo),
+        rule,
+        anchorDate: todo.dueDate
+      });
+      todo.seriesId = series._id;
+      todo.occurrenceIndex = 1;
+    }
+
     await todo.save();
+    await syncTodoReminders(todo);
+    await recordTodoChange({ after: todo, actorId: req.user._id });
     await todo.populate([
       { path: 'userId', select: 'username email profileImage' },
       { path: 'assignedBy', select: 'username email' }
@@ -410,22 +563,48 @@ exports.updateTodo = async (req, res) => {
       });
     }
 
-    // Check if user owns this todo or is admin
-    if (todo.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this todo, is an editor, or may manage everyone's todos in their organization
+    if (!(await canEditTodo(req, todo))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    const { title, description, dueDate, category, priority, status, assignToUserId } = req.body;
-    
+    const {
+      title,
+      description,
+      dueDate,
+      category,
+      priority,
+      tags,
+      projectId,
+      status,
+      force,
+      assignToUserId,
+      autoCompleteOnChecklist
+    } = req.body;
+
+    // Unfinished blockers keep a todo from starting or completing
+    if (status !== undefined && await rejectIfBlocked(res, todo, status, force === true)) return;
+
     const updateData = {};
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description;
     if (dueDate !== undefined) updateData.dueDate = new Date(dueDate);
-    if (category !== undefined) updateData.category = category;
     if (priority !== undefined) updateData.priority = priority;
+    if (tags !== undefined) {
+      updateData.tags = Todo.parseTags(tags);
+      if (updateData.tags.length > 20) {
+        return res.status(400).json({
+          success: false,
+          message: 'A todo cannot have more than 20 tags'
+        });
+      }
+    }
+    if (autoCompleteOnChecklist !== undefined) {
+      updateData.autoCompleteOnChecklist = !!autoCompleteOnChecklist;
+    }
     if (status !== undefined) {
       updateData.status = status;
       if (status === 'completed' && !todo.completedAt) {
@@ -435,9 +614,17 @@ exports.updateTodo = async (req, res) => {
       }
     }
 
-    // Admin can reassign tasks
-    if (assignToUserId && req.user.role === 'admin') {
-      const assignToUser = await User.findById(assignToUserId);
+    // Admins and managers can reassign tasks they manage; being shared on a
+    // todo as an editor isn't enough to take it from its owner
+    if (assignToUserId && hasPermission(req, 'todos:assign')) {
+      if (!(await canManageTodo(req, todo))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the owner or an admin can reassign this todo'
+        });
+      }
+      if (rejectAssignWithoutScope(req, res)) return;
+      const assignToUser = await User.findAssignable(assignToUserId, userScope(req));
       if (!assignToUser) {
         return res.status(404).json({
           success: false,
@@ -446,8 +633,27 @@ exports.updateTodo = async (req, res) => {
       }
       updateData.userId = assignToUserId;
       updateData.assignedBy = req.user._id;
+      // The new owner no longer needs a share
+      updateData.$pull = { sharedWith: { userId: assignToUser._id } };
     }
 
+    // The category must exist for whoever owns the todo after this update
+    const ownerId = updateData.userId || todo.userId;
+    const categoryName = await resolveCategory(res, ownerId, category);
+    if (categoryName === null) return;
+    if (categoryName !== undefined) updateData.category = categoryName;
+
+    // null takes the todo out of its project. Projects are per owner, so a
+    // reassigned todo leaves its project unless a new one is given.
+    if (projectId !== undefined) {
+      if (await rejectUnknownProject(res, ownerId, projectId)) return;
+      updateData.projectId = projectId || null;
+    } else if (updateData.userId && todo.projectId) {
+      updateData.projectId = null;
+    }
+    // Board columns are per owner too
+    if (updateData.userId && todo.boardColumnId) updateData.boardColumnId = null;
+
     const updatedTodo = await Todo.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -457,10 +663,24 @@ exports.updateTodo = async (req, res) => {
       { path: 'assignedBy', select: 'username email' }
     ]);
 
+    // Completing an occurrence of a recurring todo generates the next one
+    let nextOccurrence = null;
+    if (status === 'completed' && todo.status !== 'completed' && updatedTodo.seriesId) {
+      nextOccurrence = await TodoSeries.spawnNext(updatedTodo);
+      await syncTodoReminders(nextOccurrence);
+      if (nextOccurrence) {
+        await recordTodoChange({ after: nextOccurrence, actorId: req.user._id, context: 'recurrence' });
+      }
+    }
+
+    // Due date, priority, owner and status all affect pending reminders
+    await syncTodoReminders(updatedTodo);
+    await recordTodoChange({ before: todo, after: updatedTodo, actorId: req.user._id });
+
     res.json({
       success: true,
       message: 'Todo updated successfully',
-      data: { todo: updatedTodo }
+      data: { todo: updatedTodo, nextOccurrence }
     });
   } catch (error) {
     console.error('Update todo error:', error);
@@ -472,7 +692,7 @@ exports.updateTodo = async (req, res) => {
   }
 };
 
-// Delete todo (Enhanced with admin capabilities)
+// Delete todo: moves it to the trash (Enhanced with admin capabilities)
 exports.deleteTodo = async (req, res) => {
   try {
     const todo = await Todo.findById(req.params.id);
@@ -484,19 +704,20 @@ exports.deleteTodo = async (req, res) => {
       });
     }
 
-    // Check if user owns this todo or is admin
-    if (todo.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Only the owner or someone who may manage everyone's todos; not collaborators
+    if (!(await canManageTodo(req, todo))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    await Todo.findByIdAndDelete(req.params.id);
+    const trashed = await trashTodo(todo, req.user._id);
 
     res.json({
       success: true,
-      message: 'Todo deleted successfully'
+      message: 'Todo moved to trash',
+      data: { deletedAt: trashed.deletedAt, purgeAt: purgeDate(trashed) }
     });
   } catch (error) {
     console.error('Delete todo error:', error);
@@ -508,21 +729,21 @@ exports.deleteTodo = async (req, res) => {
   }
 };
 
-// Admin: Assign task to user
+// Admin/manager: Assign task to user
 exports.assignTodoToUser = async (req, res) => {
   console.log('Assigning todo to user:', req.body);
   try {
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req, 'todos:assign')) {
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'Permission todos:assign required'
       });
     }
 
-    const { userId, title, description, dueDate, category, priority } = req.body;
+    const { userId, title, description, dueDate, category, priority, tags, projectId } = req.body;
 
-    // Verify user exists
-    const user = await User.findById(userId);
+    // Verify user exists and can receive assignments
+    const user = await User.findAssignable(userId, userScope(req));
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -530,17 +751,25 @@ exports.assignTodoToUser = async (req, res) => {
       });
     }
 
+    const categoryName = await resolveCategory(res, userId, category);
+    if (categoryName === null) return;
+    if (await rejectUnknownProject(res, userId, projectId)) return;
+
     const todo = new Todo({
       title,
       description,
       dueDate: new Date(dueDate),
-      category,
+      category: categoryName,
+      projectId: projectId || null,
       priority: priority || 'Medium',
+      tags: Todo.parseTags(tags),
       userId,
       assignedBy: req.user._id
     });
 
     await todo.save();
+    await syncTodoReminders(todo);
+    await recordTodoChange({ after: todo, actorId: req.user._id });
     await todo.populate([
       { path: 'userId', select: 'username email profileImage' },
       { path: 'assignedBy', select: 'username email' }
@@ -559,5 +788,4 @@ exports.assignTodoToUser = async (req, res) => {
       error: error.message
     });
   }
-};
-
+};
\ No newline at end of file
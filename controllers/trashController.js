@@ -0,0 +1,144 @@
+const Todo = require('../models/Todo');
+const { canManageTodo } = require('../utils/todoAccess');
+const { restoreTodo, destroyTodos, purgeDate, RETENTION_DAYS } = require('../utils/trash');
+
+// Load a trashed todo the caller may manage; sends 404/403 and returns null otherwise
+const findTrashedTodo = async (req, res) => {
+  const todo = await Todo.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found in trash'
+    });
+    return null;
+  }
+
+  if (!(await canManageTodo(req, todo))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+// Get the user's trashed todos, most recently deleted first
+exports.getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { userId: req.user._id, deletedAt: { $ne: null } };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const todos = await Todo.find(query)
+      .populate('assignedBy', 'username email')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Todo.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        todos: todos.map(todo => ({ ...todo.toJSON(), purgeAt: purgeDate(todo) })),
+        retentionDays: RETENTION_DAYS,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+};
+
+// Restore a todo from the trash
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const todo = await findTrashedTodo(req, res);
+    if (!todo) return;
+
+    const restored = await restoreTodo(todo, req.user._id);
+    // Restored or purged by another request meanwhile
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Todo not found in trash'
+      });
+    }
+    await restored.populate([
+      { path: 'userId', select: 'username email profileImage' },
+      { path: 'assignedBy', select: 'username email' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Todo restored successfully',
+      data: { todo: restored }
+    });
+  } catch (error) {
+    console.error('Restore todo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore todo',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete one trashed todo
+exports.deleteFromTrash = async (req, res) => {
+  try {
+    const todo = await findTrashedTodo(req, res);
+    if (!todo) return;
+
+    await destroyTodos([todo], req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Todo permanently deleted'
+    });
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete todo',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete everything in the user's trash
+exports.emptyTrash = async (req, res) => {
+  try {
+    const todos = await Todo.find({ userId: req.user._id, deletedAt: { $ne: null } });
+    const deleted = await destroyTodos(todos, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied',
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty trash',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
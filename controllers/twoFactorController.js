@@ -0,0 +1,262 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const totp = require('../utils/totp');
+const authConfig = require('../config/auth');
+const { loginUser } = require('../utils/sessions');
+const { verifyChallengeToken, isAdminTwoFactorRequired } = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+// Start enrollment: generate a secret and provisioning URI
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = totp.provisioningUri(secret, user.email, authConfig.twoFactorIssuer);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrPayload: otpauthUrl
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Finish enrollment by confirming a code from the app
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Turn 2FA off (requires password and a current code)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (Role.ADMIN_ROLES.includes(user.role) && await isAdminTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code) && !user.useRecoveryCode(code || '')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorLastStep = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Replace recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      error: error.message
+    });
+  }
+};
+
+// Second login step: exchange challenge token + code for a session
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = challengeToken && verifyChallengeToken(challengeToken);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = loginThrottle.checkAccount(user);
+    if (throttle) {
+      return loginThrottle.sendThrottled(res, throttle);
+    }
+
+    const valid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+
+    if (!valid) {
+      await loginThrottle.recordFailure(req.ip, user.email, user);
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Invalid verification code'
+      });
+    }
+
+    // Update last login and start session (also persists the consumed code)
+    loginThrottle.resetFailures(user);
+    const { token, refreshToken, deletionCancelled } = await loginUser(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          profileImage: user.profileImage,
+          emailVerified: user.emailVerified,
+          lastLogin: user.lastLogin
+        },
+        deletionCancelled,
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,6 +1,21 @@
 const User = require('../models/User');
 const Todo = require('../models/Todo');
-const { cloudinary } = require('../config/cloudinary');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const BoardColumn = require('../models/BoardColumn');
+const Attachment = require('../models/Attachment');
+const Comment = require('../models/Comment');
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+const TodoHistory = require('../models/TodoHistory');
+const TimeEntry = require('../models/TimeEntry');
+const { destroyProfileImage } = require('../config/cloudinary');
+const { sendVerification } = require('../utils/emailVerification');
+const { validatePassword, isPasswordReused, sendPolicyErrors } = require('../utils/passwordPolicy');
+const { revokeAllSessions } = require('../utils/sessions');
+const { GRACE_DAYS } = require('../utils/accountPurge');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
 
 // Update profile
 exports.updateProfile = async (req, res) => {
@@ -8,6 +23,14 @@ exports.updateProfile = async (req, res) => {
     const { username, email } = req.body;
     const userId = req.user._id;
 
+    // The email is where password resets go, so only an interactive login may change it
+    if (email && email.toLowerCase().trim() !== req.user.email && req.auth.type !== 'session') {
+      return res.status(403).json({
+        success: false,
+        message: 'Email can only be changed from an interactive login'
+      });
+    }
+
     // Check if username or email already exists
     if (username || email) {
       const existingUser = await User.findOne({
@@ -30,17 +53,30 @@ exports.updateProfile = async (req, res) => {
 
     const updateData = {};
     if (username) updateData.username = username;
-    if (email) updateData.email = email;
+
+    // A new email address has to be verified again
+    const emailChanged = email && email.toLowerCase().trim() !== req.user.email;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
 
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
-      { new: true }
+      { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      await sendVerification(user);
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address'
+        : 'Profile updated successfully',
       data: { user }
     });
   } catch (error) {
@@ -53,6 +89,55 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Change password
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+
+    // SSO-only accounts have no current password to confirm
+    if (user.password && !(await user.comparePassword(currentPassword || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return sendPolicyErrors(res, passwordErrors);
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return sendPolicyErrors(res, ['Password was used recently, choose a different one']);
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Keep this device logged in, end every other session and revoke personal
+    // access tokens, which may have been created by whoever knew the old password
+    const result = await revokeAllSessions(user._id, 'logout-all', req.sessionId);
+    const tokens = await AccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: result.modifiedCount,
+        revokedAccessTokens: tokens.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+};
+
 // Upload profile image
 exports.uploadProfileImage = async (req, res) => {
   try {
@@ -68,9 +153,8 @@ exports.uploadProfileImage = async (req, res) => {
 
     // Delete old image if exists
     if (user.profileImage) {
-      const publicId = user.profileImage.split('/').pop().split('.')[0];
       try {
-        await cloudinary.uploader.destroy(`todo-app/profiles/${publicId}`);
+        await destroyProfileImage(user.profileImage);
       } catch (err) {
         console.log('Error deleting old image:', err);
       }
@@ -106,8 +190,12 @@ exports.getUserStats = async (req, res) => {
   try {
     const userId = req.user._id;
 
+    // Optionally limit every breakdown to one project ('none' = no project)
+    const match = { userId };
+    if (req.query.projectId) match.projectId = Project.filterValue(req.query.projectId);
+
     const stats = await Todo.aggregate([
-      { $match: { userId: userId } },
+      { $match: match },
       {
         $group: {
           _id: null,
@@ -140,7 +228,7 @@ exports.getUserStats = async (req, res) => {
     ]);
 
     const categoryStats = await Todo.aggregate([
-      { $match: { userId: userId } },
+      { $match: match },
       {
         $group: {
           _id: '$category',
@@ -150,8 +238,29 @@ exports.getUserStats = async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Attach color and icon of the user's own categories
+    const categories = await Category.find({ userId }).select('name color icon');
+    const categoryStyles = new Map(categories.map(c => [c.name, c]));
+    categoryStats.forEach(stat => {
+      const style = categoryStyles.get(stat._id);
+      stat.color = style ? style.color : null;
+      stat.icon = style ? style.icon : null;
+    });
+
+    const tagStats = await Todo.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
     const priorityStats = await Todo.aggregate([
-      { $match: { userId: userId } },
+      { $match: match },
       {
         $group: {
           _id: '$priority',
@@ -161,6 +270,30 @@ exports.getUserStats = async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    const projectStats = await Todo.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$projectId',
+          count: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Attach project names; _id null is the todos outside any project
+    const projects = await Project.find({ userId }).select('name color archived');
+    const projectInfo = new Map(projects.map(p => [p._id.toString(), p]));
+    projectStats.forEach(stat => {
+      const project = stat._id ? projectInfo.get(stat._id.toString()) : null;
+      stat.name = project ? project.name : null;
+      stat.color = project ? project.color : null;
+      stat.archived = project ? project.archived : false;
+    });
+
     res.json({
       success: true,
       data: {
@@ -172,7 +305,9 @@ exports.getUserStats = async (req, res) => {
           overdue: 0
         },
         categoryStats,
-        priorityStats
+        tagStats,
+        priorityStats,
+        projectStats
       }
     });
   } catch (error) {
@@ -183,4 +318,152 @@ exports.getUserStats = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Export all of the user's data as a JSON archive
+exports.exportData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const user = await User.findById(userId);
+
+    // Every todo the user owns, including ones assigned to them by others
+    // and ones in the trash
+    const todos = await Todo.find({ userId })
+      .setOptions({ withDeleted: true })
+      .populate('assignedBy', 'username')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Todos the user assigned to other people (references only)
+    const assignedToOthers = await Todo.find({ assignedBy: userId, userId: { $ne: userId } })
+      .select('_id title status dueDate createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Other people's todos shared with the user (references only)
+    const sharedWithMe = await Todo.find({ 'sharedWith.userId': userId })
+      .select('_id title status dueDate userId')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const categories = await Category.find({ userId })
+      .select('name color icon createdAt')
+      .lean();
+
+    const projects = await Project.find({ userId })
+      .select('name description color archived archivedAt createdAt')
+      .lean();
+
+    const boardColumns = await BoardColumn.find({ userId })
+      .select('projectId name color rank createdAt')
+      .sort({ projectId: 1, rank: 1 })
+      .lean();
+
+    // Metadata of uploaded files; the files are downloadable from their todos
+    const attachments = await Attachment.find({ userId })
+      .select('todoId filename mimetype size createdAt')
+      .lean();
+
+    const comments = await Comment.find({ userId, deletedAt: null })
+      .select('todoId body editedAt createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const reminders = await Reminder.find({ userId })
+      .select('todoId source remindAt minutesBefore fireAt channels status sentAt')
+      .lean();
+
+    const notifications = await Notification.find({ userId })
+      .select('type todoId title message readAt createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const timeEntries = await TimeEntry.find({ userId })
+      .select('todoId source startedAt endedAt duration note')
+      .sort({ startedAt: 1 })
+      .lean();
+
+    // Changes the user made to any todo
+    const history = await TodoHistory.find({ actorId: userId })
+      .select('todoId todoTitle action context changes createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const sessions = await RefreshToken.find({ userId, revokedAt: null })
+      .select('createdAt expiresAt createdByIp userAgent')
+      .lean();
+
+    const accessTokens = await AccessToken.find({ userId })
+      .select('name prefix scopes expiresAt lastUsedAt revokedAt createdAt')
+      .lean();
+
+    const archive = {
+      format: 'todo-app-export',
+      version: 1,
+      exportedAt: new Date(),
+      profile: user.toJSON(),
+      profileImage: user.profileImage ? { url: user.profileImage } : null,
+      todos,
+      assignedToOthers,
+      sharedWithMe,
+      categories,
+      projects,
+      boardColumns,
+      attachments,
+      comments,
+      reminders,
+      notifications,
+      timeEntries,
+      history,
+      sessions,
+      accessTokens
+    };
+
+    res.set('Content-Disposition', `attachment; filename="todo-app-export-${userId}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: error.message
+    });
+  }
+};
+
+// Request account deletion (purged after the grace period)
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    // SSO-only accounts have no password to confirm
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    // Access tokens stop working too; logging in again is the only way back
+    await revokeAllSessions(user._id, 'logout-all');
+    await AccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: `Account scheduled for deletion. Log in within ${GRACE_DAYS} days to cancel`,
+      data: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -7,6 +7,14 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const todoRoutes = require('./routes/todoRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const Role = require('./models/Role');
+const User = require('./models/User');
+const { startAccountPurgeJob } = require('./utils/accountPurge');
+const { startReminderJob } = require('./utils/reminders');
+const { startTrashPurgeJob } = require('./utils/trash');
 
 const app = express();
 
@@ -17,7 +25,13 @@ app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    startAccountPurgeJob();
+    startReminderJob();
+    startTrashPurgeJob();
+    return Promise.all([Role.ensureSystemRoles(), User.backfillEmailVerified()]);
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -25,6 +39,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/todos', todoRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/projects', projectRoutes);
 
 // Health check
 app.get('/', (req, res) => {
@@ -1,16 +1,22 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const Role = require('../models/Role');
+const { isAdminTwoFactorRequired } = require('../utils/twoFactor');
+const { getPermissions } = require('../utils/permissions');
 
-// Generate JWT token
-const generateToken = (userId, role = 'user') => {
+// Generate short-lived JWT access token bound to a session (refresh token family)
+const generateToken = (userId, role = 'user', sessionId) => {
   return jwt.sign(
-    { userId, role },
+    { userId, role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
-// Authentication middleware
+// Authentication middleware: accepts session JWTs and personal access tokens
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -23,9 +29,47 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    let userId;
+    let auth;
+
+    if (token.startsWith(AccessToken.PREFIX)) {
+      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+      const accessToken = await AccessToken.findOne({ tokenHash, revokedAt: null });
+
+      if (!accessToken || accessToken.isExpired) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token'
+        });
+      }
+
+      // Record usage, at most once a minute per token
+      if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > 60 * 1000) {
+        await AccessToken.updateOne(
+          { _id: accessToken._id },
+          { lastUsedAt: new Date(), lastUsedIp: req.ip }
+        );
+      }
+
+      userId = accessToken.userId;
+      auth = { type: 'token', tokenId: accessToken._id, scopes: accessToken.scopes };
+    } else {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Reject tokens whose session was logged out or revoked
+      if (!decoded.sid || !(await RefreshToken.isFamilyActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      userId = decoded.userId;
+      auth = { type: 'session', sessionId: decoded.sid, scopes: null };
+    }
+
+    const user = await User.findById(userId).select('-password');
+
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -40,7 +84,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Only a fresh login (which cancels the deletion) gets access back
+    if (user.deletionScheduledFor) {
+      return res.status(401).json({
+        success: false,
+        code: 'ACCOUNT_DELETION_PENDING',
+        message: 'Account is scheduled for deletion. Log in to cancel'
+      });
+    }
+
     req.user = user;
+    // Admins who have to enable 2FA act without their role's permissions until
+    // they do, so inline hasPermission checks follow the rule too. They can
+    // still reach /api/auth/2fa/* to enroll.
+    req.twoFactorRequired = Role.ADMIN_ROLES.includes(user.role) && !user.twoFactorEnabled &&
+      await isAdminTwoFactorRequired();
+    req.permissions = req.twoFactorRequired ? [] : await getPermissions(user.role);
+    req.auth = auth;
+    req.sessionId = auth.sessionId || null;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -50,12 +111,47 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+// Scope check for personal access tokens; session logins carry every scope
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.auth.type !== 'token') return next();
+
+  const missing = scopes.filter(scope => !req.auth.scopes.includes(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `Access token is missing required scope: ${missing.join(', ')}`
+    });
+  }
+  next();
+};
+
+// Only allow interactive logins (not personal access tokens)
+const requireSession = (req, res, next) => {
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available to access tokens'
+    });
+  }
+  next();
+};
+
+// Permission authorization middleware, e.g. requirePermission('todos:assign')
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !req.permissions.includes(permission));
+  if (missing.length > 0 && req.twoFactorRequired) {
+    return res.status(403).json({
+      success: false,
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Two-factor authentication must be enabled for admin accounts'
+    });
+  }
+  if (missing.length > 0) {
     return res.status(403).json({
       success: false,
-      message: 'Admin access required'
+      code: 'PERMISSION_DENIED',
+      message: `Missing required permission: ${missing.join(', ')}`
     });
   }
   next();
@@ -64,5 +160,7 @@ const requireAdmin = (req, res, next) => {
 module.exports = {
   generateToken,
   authenticateToken,
-  requireAdmin
+  requireScope,
+  requireSession,
+  requirePermission
 }; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+const { attachmentUpload, attachmentPolicy } = require('../config/storage');
+const { findTodoForUser } = require('../utils/todoAccess');
+const { sniffMimeType } = require('../utils/fileTypes');
+
+const rejectType = (res, message) => res.status(415).json({
+  success: false,
+  code: 'UNSUPPORTED_FILE_TYPE',
+  message,
+  allowedTypes: attachmentPolicy.allowedMimeTypes
+});
+
+// Accept a single `file` field for a todo the caller may edit (`req.todo`).
+// Access is checked before the body is read, and the file's type is taken
+// from its content, not the client. Policy violations get a 4xx response
+// instead of reaching the generic error handler.
+exports.uploadAttachment = async (req, res, next) => {
+  try {
+    req.todo = await findTodoForUser(req, res);
+    if (!req.todo) return;
+  } catch (error) {
+    return next(error);
+  }
+
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (!err) {
+      if (!req.file) return next();
+
+      const mimetype = sniffMimeType(req.file.buffer, req.file.mimetype);
+      if (!mimetype || !attachmentPolicy.allowedMimeTypes.includes(mimetype)) {
+        return rejectType(res, `File type ${mimetype || 'unknown'} is not allowed`);
+      }
+      req.file.mimetype = mimetype;
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        code: 'FILE_TOO_LARGE',
+        message: `File exceeds the ${Math.round(attachmentPolicy.maxFileSize / (1024 * 1024))}MB limit`
+      });
+    }
+    if (err.name === 'MulterError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next(err);
+  });
+};
\ No newline at end of file
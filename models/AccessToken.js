@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can carry
+const SCOPES = [
+  'todos:read',
+  'todos:write',
+  'profile:read',
+  'profile:write',
+  'admin:reports',
+  'admin:users',
+  'admin:todos'
+];
+
+const accessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // Only the SHA-256 hash of the token is stored, never the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+accessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for checking if token has expired
+accessTokenSchema.virtual('isExpired').get(function() {
+  return !!(this.expiresAt && this.expiresAt <= new Date());
+});
+
+accessTokenSchema.set('toJSON', { virtuals: true });
+
+accessTokenSchema.statics.SCOPES = SCOPES;
+
+// Tokens start with this, which is how authenticateToken tells them from JWTs
+accessTokenSchema.statics.PREFIX = 'pat_';
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
\ No newline at end of file
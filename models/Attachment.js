@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: [true, 'Todo ID is required']
+  },
+  // Uploader; the file counts against their quota
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Storage backend the file was saved with and its key there
+  storage: {
+    type: String,
+    enum: ['local', 'cloudinary'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+attachmentSchema.index({ todoId: 1, createdAt: 1 });
+attachmentSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Custom column on a user's board, either their general board or one project's
+const boardColumnSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true,
+    maxlength: [50, 'Column name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3366ff'],
+    default: null
+  },
+  // Position among the board's columns (see utils/rank.js)
+  rank: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One column name per board
+boardColumnSchema.index(
+  { userId: 1, projectId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+boardColumnSchema.index({ userId: 1, projectId: 1, rank: 1 });
+
+// Delete columns and move their todos out of them
+boardColumnSchema.statics.removeColumns = async function(query) {
+  const Todo = mongoose.model('Todo');
+  const ids = await this.find(query).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Todo.updateMany(
+    { boardColumnId: { $in: ids } },
+    { boardColumnId: null },
+    { withDeleted: true }
+  );
+  await this.deleteMany({ _id: { $in: ids } });
+  return ids.length;
+};
+
+module.exports = mongoose.model('BoardColumn', boardColumnSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Categories every user has without creating them
+const DEFAULT_CATEGORIES = ['Work', 'Personal', 'Health', 'Education', 'Shopping', 'Home', 'Office', 'Other'];
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3366ff'],
+    default: null
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot exceed 50 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One category name per user
+categorySchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Names compare case-insensitively, like the unique index
+categorySchema.statics.COLLATION = { locale: 'en', strength: 2 };
+
+// The category's stored spelling when the name (in any casing) can be used
+// on this user's todos, otherwise null. Todos keep this canonical name so
+// renames and deletes find them.
+categorySchema.statics.resolveName = async function(userId, name) {
+  if (typeof name !== 'string') return null;
+  const wanted = name.trim().toLowerCase();
+  const builtIn = DEFAULT_CATEGORIES.find(category => category.toLowerCase() === wanted);
+  if (builtIn) return builtIn;
+
+  const category = await this.findOne({ userId, name: name.trim() })
+    .collation(this.COLLATION);
+  return category ? category.name : null;
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
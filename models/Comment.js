@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: [true, 'Todo ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Previous versions of the body, oldest first
+  editHistory: {
+    type: [{
+      _id: false,
+      body: String,
+      editedAt: Date
+    }],
+    select: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft delete: by the author or by a moderator
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+commentSchema.index({ todoId: 1, createdAt: 1 });
+commentSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per failed login, used for per-IP throttling
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Old attempts are dropped automatically after a day
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
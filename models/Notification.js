@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown to a user
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'share'],
+    required: true
+  },
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Read notifications are dropped after 90 days
+notificationSchema.index(
+  { readAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60, partialFilterExpression: { readAt: { $type: 'date' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
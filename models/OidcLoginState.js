@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Pending SSO login between the redirect to the IdP and the callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE code verifier, never sent to the browser
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop abandoned logins automatically
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
\ No newline at end of file
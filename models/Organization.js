@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A team or department sharing the deployment. Users belong to at most one;
+// admins without organizations:manage only see their own organization.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Organization', organizationSchema);
\ No newline at end of file
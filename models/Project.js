@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  // Owner of the project
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3366ff'],
+    default: null
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One project name per owner
+projectSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+projectSchema.index({ userId: 1, archived: 1 });
+
+// Whether todos of `userId` can be put in this project (theirs and not archived)
+projectSchema.statics.isAssignable = async function(projectId, userId) {
+  if (!mongoose.isValidObjectId(projectId)) return false;
+  return !!(await this.exists({ _id: projectId, userId, archived: false }));
+};
+
+// Query value for a projectId filter: an id, or 'none' for todos outside any
+// project. Invalid ids match nothing. Ids are cast so it also works in $match.
+projectSchema.statics.filterValue = function(projectId) {
+  if (projectId === 'none') return null;
+  return mongoose.isValidObjectId(projectId)
+    ? new mongoose.Types.ObjectId(projectId)
+    : { $in: [] };
+};
+
+// Progress of each project: todo counts by status, overdue and percent done
+projectSchema.statics.progressFor = async function(projectIds) {
+  const Todo = mongoose.model('Todo');
+  const now = new Date();
+
+  const stats = await Todo.aggregate([
+    { $match: { projectId: { $in: projectIds } } },
+    {
+      $group: {
+        _id: '$projectId',
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [
+              { $and: [{ $lt: ['$dueDate', now] }, { $ne: ['$status', 'completed'] }] },
+              1,
+              0
+            ]
+          }
+        },
+        nextDueDate: {
+          $min: { $cond: [{ $ne: ['$status', 'completed'] }, '$dueDate', null] }
+        }
+      }
+    }
+  ]);
+
+  const empty = { total: 0, pending: 0, inProgress: 0, completed: 0, overdue: 0, nextDueDate: null };
+  const byId = new Map(stats.map(({ _id, ...counts }) => [_id.toString(), counts]));
+
+  return new Map(projectIds.map(id => {
+    const counts = byId.get(id.toString()) || empty;
+    return [id.toString(), {
+      ...counts,
+      percentComplete: counts.total > 0 ? Math.round((counts.completed / counts.total) * 100) : 0
+    }];
+  }));
+};
+
+module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
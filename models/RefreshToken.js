@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Only the SHA-256 hash of the token is stored, never the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family (= session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'admin', null],
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB drop expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Revoke every live token in a family (one device / login session)
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every live token of a user, optionally keeping one session alive
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout-all', exceptFamily = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptFamily) query.family = { $ne: exceptFamily };
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Check whether a session still has a usable token
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
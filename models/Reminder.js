@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const reminderConfig = require('../config/reminders');
+
+const reminderSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: [true, 'Todo ID is required']
+  },
+  // Recipient: always the current owner of the todo
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // 'custom' reminders are set on the todo, 'default' ones come from the
+  // owner's per-priority settings and are regenerated when the todo changes
+  source: {
+    type: String,
+    enum: ['custom', 'default'],
+    default: 'custom'
+  },
+  // Either an absolute time, or a number of minutes before dueDate
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  minutesBefore: {
+    type: Number,
+    default: null
+  },
+  fireAt: {
+    type: Date,
+    required: true
+  },
+  // Empty means the owner's preferred channels
+  channels: {
+    type: [{ type: String, enum: reminderConfig.channels }],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Lease held by the instance delivering the reminder
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Channels that already succeeded (not retried)
+  deliveredChannels: {
+    type: [String],
+    default: []
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reminderSchema.index({ status: 1, fireAt: 1 });
+reminderSchema.index({ status: 1, lockedUntil: 1 });
+reminderSchema.index({ todoId: 1 });
+reminderSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Every permission the API checks
+const PERMISSIONS = [
+  'todos:view-all',      // read any user's todos
+  'todos:manage-all',    // update or delete any user's todos
+  'todos:assign',        // create todos for / reassign todos to other users
+  'reports:view',        // admin dashboard and reports
+  'users:view',          // list users and their details
+  'users:create',        // add users
+  'users:update',        // unlock accounts, revoke sessions
+  'users:assign-roles',  // change a user's role
+  'users:deactivate',    // activate / deactivate accounts
+  'roles:manage',        // create, edit and delete custom roles
+  'settings:manage',     // security settings
+  'comments:moderate',   // edit history, delete and restore any comment
+  'organizations:manage' // super-admin: every organization, not just their own
+];
+
+// Deployment-wide permissions an organization's own admins don't get
+const GLOBAL_PERMISSIONS = ['organizations:manage', 'roles:manage', 'settings:manage'];
+
+// Built-in roles, created on startup; they cannot be edited or deleted
+const SYSTEM_ROLES = {
+  admin: {
+    description: 'Full access to every feature and every organization',
+    permissions: PERMISSIONS
+  },
+  'org-admin': {
+    description: 'Administers the users and todos of their own organization',
+    permissions: PERMISSIONS.filter(permission => !GLOBAL_PERMISSIONS.includes(permission))
+  },
+  manager: {
+    description: 'Assigns tasks and views reports, cannot change roles or deactivate accounts',
+    permissions: ['todos:view-all', 'todos:assign', 'reports:view', 'users:view', 'comments:moderate']
+  },
+  user: {
+    description: 'Manages their own todos',
+    permissions: []
+  }
+};
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [2, 'Role name must be at least 2 characters'],
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z0-9-]+$/, 'Role name may only contain letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: []
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create missing built-in roles and bring existing ones up to date, so
+// permissions added in new releases reach them
+roleSchema.statics.ensureSystemRoles = async function() {
+  for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+    await this.updateOne(
+      { name },
+      { $set: { ...role, isSystem: true }, $setOnInsert: { name } },
+      { upsert: true }
+    );
+  }
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.ADMIN_ROLES = ['admin', 'org-admin'];
+roleSchema.statics.SYSTEM_ROLES = SYSTEM_ROLES;
+
+module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
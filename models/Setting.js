@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Application-wide settings that admins can change at runtime
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to a default when it was never stored
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Create or overwrite a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
\ No newline at end of file
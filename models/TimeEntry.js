@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// Time someone spent on a todo, from a timer or entered by hand
+const timeEntrySchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: [true, 'Todo ID is required']
+  },
+  // Who did the work (not necessarily the todo owner)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds, set from startedAt/endedAt once the entry has ended
+  duration: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// At most one running timer per user
+timeEntrySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+timeEntrySchema.index({ userId: 1, startedAt: 1 });
+timeEntrySchema.index({ todoId: 1, startedAt: -1 });
+
+timeEntrySchema.pre('validate', function(next) {
+  if (this.endedAt) {
+    if (this.endedAt <= this.startedAt) {
+      this.invalidate('endedAt', 'End time must be after the start time');
+    } else {
+      this.duration = Math.floor((this.endedAt - this.startedAt) / 1000);
+    }
+  } else {
+    this.duration = null;
+  }
+  next();
+});
+
+// Seconds of an entry; running timers count up to `now`
+const durationOf = (now) => ({
+  $ifNull: ['$duration', { $floor: { $divide: [{ $subtract: [now, '$startedAt'] }, 1000] } }]
+});
+
+// Stop running timers matching `query` (e.g. on a todo that was trashed)
+timeEntrySchema.statics.stopRunning = function(query) {
+  const now = new Date();
+  return this.updateMany(
+    { ...query, endedAt: null },
+    [{ $set: { endedAt: now, duration: durationOf(now) } }]
+  );
+};
+
+// Total time of the entries matching `match`, broken down by day (in
+// `timezone`), todo category and user. `match` must use ObjectIds since
+// aggregation does not cast.
+timeEntrySchema.statics.summarize = async function(match, { timezone = 'UTC' } = {}) {
+  const now = new Date();
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $set: { seconds: durationOf(now) } },
+    {
+      $lookup: {
+        from: 'todos',
+        localField: 'todoId',
+        foreignField: '_id',
+        pipeline: [{ $project: { category: 1 } }],
+        as: 'todo'
+      }
+    },
+    {
+      $facet: {
+        total: [
+          { $group: { _id: null, seconds: { $sum: '$seconds' }, entries: { $sum: 1 } } }
+        ],
+        byDay: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone } },
+              seconds: { $sum: '$seconds' },
+              entries: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: '$_id', seconds: 1, entries: 1 } }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: { $ifNull: [{ $first: '$todo.category' }, null] },
+              seconds: { $sum: '$seconds' },
+              entries: { $sum: 1 }
+            }
+          },
+          { $sort: { seconds: -1 } },
+          { $project: { _id: 0, category: '$_id', seconds: 1, entries: 1 } }
+        ],
+        byUser: [
+          { $group: { _id: '$userId', seconds: { $sum: '$seconds' }, entries: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              pipeline: [{ $project: { username: 1, email: 1 } }],
+              as: 'user'
+            }
+          },
+          { $sort: { seconds: -1 } },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id',
+              username: { $first: '$user.username' },
+              email: { $first: '$user.email' },
+              seconds: 1,
+              entries: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    totalSeconds: result.total[0]?.seconds || 0,
+    entries: result.total[0]?.entries || 0,
+    byDay: result.byDay,
+    byCategory: result.byCategory,
+    byUser: result.byUser
+  };
+};
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
\ No newline at end of file
@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const { rankBetween } = require('../utils/rank');
+
+// Checklist item (subtask); array order is the display order
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Collaborator the owner shared the todo with
+const shareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permission: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    default: 'viewer'
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const todoSchema = new mongoose.Schema({
   title: {
@@ -16,12 +62,30 @@ const todoSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Due date is required']
   },
+  // Name of a default category or one of the owner's own (see models/Category.js)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['Work', 'Personal', 'Health', 'Education', 'Shopping', 'Home', 'Office', 'Other'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
     default: 'Personal'
   },
+  // Project owned by the todo's owner; null for todos outside any project
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tag cannot exceed 30 characters']
+    }],
+    validate: [tags => tags.length <= 20, 'A todo cannot have more than 20 tags'],
+    default: []
+  },
   priority: {
     type: String,
     enum: ['Low', 'Medium', 'High'],
@@ -45,9 +109,74 @@ const todoSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
     default: null
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    validate: [items => items.length <= 100, 'A todo cannot have more than 100 checklist items']
+  },
+  // Complete the todo automatically once every checklist item is done
+  autoCompleteOnChecklist: {
+    type: Boolean,
+    default: false
+  },
+  // Recurring todos: the series this occurrence belongs to
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TodoSeries',
+    default: null
+  },
+  occurrenceIndex: {
+    type: Number,
+    default: null
+  },
+  // Set once the following occurrence has been generated
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  // Todos that must be completed before this one can start
+  blockedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Todo'
+    }],
+    validate: [ids => ids.length <= 50, 'A todo cannot have more than 50 dependencies'],
+    default: []
+  },
+  // Collaborators who can view (viewer) or also change (editor) the todo
+  sharedWith: {
+    type: [shareSchema],
+    validate: [shares => shares.length <= 50, 'A todo cannot be shared with more than 50 users'],
+    default: []
+  },
+  // Manual position (see utils/rank.js). Each owner has one ordering and
+  // every board column shows a slice of it, so a card keeps its place
+  // relative to others whichever way the board is grouped.
+  rank: {
+    type: String,
+    default: null
+  },
+  // One of the owner's custom board columns; null for none
+  boardColumnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardColumn',
+    default: null
+  },
+  // Set while the todo is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Indexes for performance
@@ -55,8 +184,17 @@ todoSchema.index({ userId: 1 });
 todoSchema.index({ status: 1 });
 todoSchema.index({ dueDate: 1 });
 todoSchema.index({ category: 1 });
+todoSchema.index({ tags: 1 });
+todoSchema.index({ projectId: 1, status: 1 });
 todoSchema.index({ priority: 1 });
 todoSchema.index({ assignedBy: 1 });
+todoSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+todoSchema.index({ blockedBy: 1 });
+todoSchema.index({ 'sharedWith.userId': 1 });
+todoSchema.index({ userId: 1, deletedAt: 1 });
+todoSchema.index({ userId: 1, rank: 1 });
+todoSchema.index({ boardColumnId: 1 });
+todoSchema.index({ deletedAt: 1 });
 
 // Text search index for title and description
 todoSchema.index({ 
@@ -67,6 +205,38 @@ todoSchema.index({
   name: 'text_search_index'
 });
 
+// Trashed todos are hidden from every query and aggregation, unless the
+// filter mentions deletedAt itself or the { withDeleted: true } option is set
+const TRASH_FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+todoSchema.pre(TRASH_FILTERED_QUERIES, function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+todoSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Number of visible comments; load with .populate('commentCount')
+todoSchema.virtual('commentCount', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'todoId',
+  count: true,
+  match: { deletedAt: null }
+});
+
 // Virtual for checking if todo is overdue
 todoSchema.virtual('isOverdue').get(function() {
   if (this.status === 'completed') return false;
@@ -86,6 +256,18 @@ todoSchema.virtual('daysUntilDue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for checking if todo is part of a recurring series
+todoSchema.virtual('isRecurring').get(function() {
+  return !!this.seriesId;
+});
+
+// Virtual for checklist completion percentage (null without a checklist)
+todoSchema.virtual('checklistProgress').get(function() {
+  if (!this.checklist || this.checklist.length === 0) return null;
+  const done = this.checklist.filter(item => item.completed).length;
+  return Math.round((done / this.checklist.length) * 100);
+});
+
 // Pre-save middleware
 todoSchema.pre('save', function(next) {
   if (this.status === 'completed' && !this.completedAt) {
@@ -97,6 +279,22 @@ todoSchema.pre('save', function(next) {
   next();
 });
 
+// New todos go to the end of their owner's board
+todoSchema.pre('save', async function() {
+  if (!this.isNew || this.rank) return;
+  const last = await this.constructor.findOne({ userId: this.userId, rank: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ rank: -1 })
+    .select('rank');
+  this.rank = rankBetween(last ? last.rank : null, null);
+});
+
+// Normalise tag input (array or comma-separated string) into unique lowercase tags
+todoSchema.statics.parseTags = function(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
 // Static methods
 todoSchema.statics.findByUser = function(userId, options = {}) {
   const query = { userId };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One entry per create, update, reassign, delete or restore of a todo
+const todoHistorySchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: [true, 'Todo ID is required']
+  },
+  // Title at the time of the change, so entries stay readable after deletion
+  todoTitle: {
+    type: String,
+    default: ''
+  },
+  // Owner of the todo after the change
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Who made the change (null for system changes)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'reassign', 'delete', 'restore'],
+    required: true
+  },
+  // Where the change came from when not a direct edit (e.g. 'checklist',
+  // 'recurrence'); deletes say whether the todo went to the trash or for good
+  context: {
+    type: String,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+todoHistorySchema.index({ todoId: 1, createdAt: -1 });
+todoHistorySchema.index({ actorId: 1, createdAt: -1 });
+todoHistorySchema.index({ ownerId: 1, createdAt: -1 });
+todoHistorySchema.index({ action: 1, createdAt: -1 });
+todoHistorySchema.index({ 'changes.field': 1, createdAt: -1 });
+
+module.exports = mongoose.model('TodoHistory', todoHistorySchema);
\ No newline at end of file
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Todo = require('./Todo');
+const { nextOccurrence } = require('../utils/recurrence');
+
+// Recurrence rule (see utils/recurrence.js)
+const recurrenceRuleSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: { type: Number, default: 1, min: 1 },
+  byWeekday: { type: [Number], default: [] },
+  monthlyMode: { type: String, enum: ['dayOfMonth', 'nthWeekday', null], default: null },
+  dayOfMonth: { type: Number, default: null },
+  nthWeek: { type: Number, default: null },
+  weekday: { type: Number, default: null },
+  count: { type: Number, default: null },
+  until: { type: Date, default: null }
+}, { _id: false });
+
+// A recurring todo: the template every occurrence is created from
+const todoSeriesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  template: {
+    title: { type: String, required: true },
+    description: String,
+    category: String,
+    projectId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    priority: String,
+    tags: [String],
+    checklist: [String],
+    autoCompleteOnChecklist: { type: Boolean, default: false }
+  },
+  rule: {
+    type: recurrenceRuleSchema,
+    required: true
+  },
+  // Due date of the first occurrence; fixes time of day and interval alignment
+  anchorDate: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+todoSeriesSchema.index({ userId: 1 });
+
+// Build the series template from a todo's current fields
+todoSeriesSchema.statics.templateFrom = function(todo) {
+  return {
+    title: todo.title,
+    description: todo.description,
+    category: todo.category,
+    projectId: todo.projectId || null,
+    priority: todo.priority,
+    tags: todo.tags,
+    checklist: (todo.checklist || []).map(item => item.text),
+    autoCompleteOnChecklist: todo.autoCompleteOnChecklist
+  };
+};
+
+// Create the occurrence after `todo`, once. Returns the new todo, or null when
+// the series has ended or the next occurrence already exists.
+todoSeriesSchema.statics.spawnNext = async function(todo) {
+  if (!todo.seriesId || todo.nextOccurrenceId) return null;
+
+  const series = await this.findById(todo.seriesId);
+  if (!series || series.endedAt) return null;
+
+  const dueDate = nextOccurrence(series.rule, series.anchorDate, todo.dueDate, todo.occurrenceIndex);
+  if (!dueDate) {
+    series.endedAt = new Date();
+    await series.save();
+    return null;
+  }
+
+  // Claim the slot first so concurrent completions can't create duplicates
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Todo.findOneAndUpdate(
+    { _id: todo._id, nextOccurrenceId: null },
+    { nextOccurrenceId: nextId }
+  );
+  if (!claimed) return null;
+  todo.nextOccurrenceId = nextId;
+
+  // The next occurrence stays with whoever owns this one, also after a
+  // reassignment; projects and categories are per owner, so a reassigned
+  // todo keeps its own instead of the template's
+  const { template } = series.toObject();
+  const ownerId = todo.userId._id || todo.userId;
+  const reassigned = !ownerId.equals(series.userId);
+  return Todo.create({
+    _id: nextId,
+    ...template,
+    ...(reassigned ? { category: todo.category, projectId: todo.projectId } : {}),
+    checklist: (template.checklist || []).map(text => ({ text })),
+    dueDate,
+    userId: ownerId,
+    assignedBy: todo.assignedBy ? todo.assignedBy._id || todo.assignedBy : null,
+    seriesId: series._id,
+    occurrenceIndex: todo.occurrenceIndex + 1
+  });
+};
+
+module.exports = mongoose.model('TodoSeries', todoSeriesSchema);
\ No newline at end of file
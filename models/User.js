@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const reminderConfig = require('../config/reminders');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -18,27 +22,156 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Optional for accounts that only sign in through SSO
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.oidcSubject; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Previous password hashes, newest first (for the reuse rule)
+  passwordHistory: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Self-service deletion: purged once deletionScheduledFor has passed
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  oidcIssuer: {
+    type: String,
+    default: null
+  },
+  oidcSubject: {
+    type: String,
+    default: null
+  },
   profileImage: {
     type: String,
     default: null
   },
+  // How and when the user wants to be reminded about due dates. Defaults are
+  // minutes before dueDate per priority; unset means config/reminders.js.
+  reminderSettings: {
+    channels: {
+      type: [{ type: String, enum: reminderConfig.channels }],
+      default: ['in-app']
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      // https and a public host are enforced by utils/webhooks.js (older
+      // http URLs stay loadable but are no longer delivered to)
+      match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http(s) URL'],
+      default: null
+    },
+    // Per-user key webhook payloads are signed with
+    webhookSecret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    defaults: {
+      Low: { type: [Number], default: undefined },
+      Medium: { type: [Number], default: undefined },
+      High: { type: [Number], default: undefined }
+    }
+  },
+  // Bytes of todo attachments uploaded by this user (counts against the quota)
+  storageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Tenant the user belongs to; null for users outside any organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Name of a Role document (built-in: admin, org-admin, manager, user)
   role: {
     type: String,
-    enum: ['admin', 'user'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Secret generated during setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
   }
 }, {
   timestamps: true
@@ -48,10 +181,12 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ organizationId: 1 });
+userSchema.index({ oidcIssuer: 1, oidcSubject: 1 }, { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   const hashedPassword = await bcrypt.hash(this.password, parseInt(process.env.BCRYPT_ROUNDS));
   this.password = hashedPassword;
@@ -60,13 +195,103 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to replace the password, keeping the old hash in the history
+// (requires +password +passwordHistory)
+userSchema.methods.setPassword = function(newPassword) {
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+      .slice(0, authConfig.passwordPolicy.historyCount);
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Instance method to create a single-use password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return resetToken;
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: crypto.createHash('sha256').update(resetToken).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordHistory +passwordResetToken +passwordResetExpires');
+};
+
+// Instance method to check a TOTP code (requires +twoFactorSecret +twoFactorLastStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step === null || (this.twoFactorLastStep !== null && step <= this.twoFactorLastStep)) {
+    return false;
+  }
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Instance method to replace recovery codes; returns the plaintext codes (shown once)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+  return codes;
+};
+
+// Instance method to consume a recovery code (requires +twoFactorRecoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = this.twoFactorRecoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Static method to find a user that admins may assign todos to, optionally
+// limited by a tenant filter (see utils/tenants)
+userSchema.statics.findAssignable = function(userId, scope = {}) {
+  const query = { _id: userId, isActive: true, ...scope };
+  if (authConfig.requireEmailVerification) query.emailVerified = true;
+  return this.findOne(query);
+};
+
+// Accounts created before email verification existed have no emailVerified
+// field; they count as verified so requiring verification doesn't lock them out
+userSchema.statics.backfillEmailVerified = function() {
+  return this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
+// Virtual for checking if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Transform function to remove sensitive data when converting to JSON
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastStep;
+  delete userObject.twoFactorRecoveryCodes;
+  if (userObject.reminderSettings) delete userObject.reminderSettings.webhookSecret;
   return userObject;
 };
 
@@ -4,31 +4,72 @@ const {
   getUsers,
   getUserDetails,
   updateUser,
+  unlockUser,
   getAllTodos,
   getReports,
-  addUser
+  getTeamTimesheet,
+  addUser,
+  getSecuritySettings,
+  updateSecuritySettings
 } = require('../controllers/adminController');
-const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+const { getRoles, createRole, updateRole, deleteRole } = require('../controllers/roleController');
+const {
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization
+} = require('../controllers/organizationController');
+const { getAllComments, moderateComment, restoreComment } = require('../controllers/commentController');
+const { getHistoryFeed } = require('../controllers/historyController');
+const {
+  authenticateToken,
+  requirePermission,
+  requireScope,
+  requireSession
+} = require('../middleware/authMiddleware');
 const { UploadStream } = require('cloudinary');
 const { upload } = require('../config/cloudinary');
 
 const router = express.Router();
 
-// Apply authentication and admin authorization to all admin routes
+// Apply authentication to all admin routes; each route checks its own permission
 router.use(authenticateToken);
-router.use(requireAdmin);
 
 // Admin dashboard and analytics
-router.get('/dashboard', getDashboard);
-router.get('/reports', getReports);
+router.get('/dashboard', requirePermission('reports:view'), requireScope('admin:reports'), getDashboard);
+router.get('/reports', requirePermission('reports:view'), requireScope('admin:reports'), getReports);
+router.get('/reports/timesheet', requirePermission('reports:view'), requireScope('admin:reports'), getTeamTimesheet);
 
 // User management
-router.get('/users', getUsers);
-router.post('/users', upload.single('image'), addUser);
-router.get('/users/:userId', getUserDetails);
-router.put('/users/:userId', updateUser);
+router.get('/users', requirePermission('users:view'), requireScope('admin:users'), getUsers);
+router.post('/users', requirePermission('users:create'), requireScope('admin:users'), upload.single('image'), addUser);
+router.get('/users/:userId', requirePermission('users:view'), requireScope('admin:users'), getUserDetails);
+router.put('/users/:userId', requirePermission('users:update'), requireScope('admin:users'), updateUser);
+router.post('/users/:userId/unlock', requirePermission('users:update'), requireScope('admin:users'), unlockUser);
+
+// Organizations (super-admins; everyone else is limited to their own)
+router.get('/organizations', requirePermission('organizations:manage'), requireScope('admin:users'), getOrganizations);
+router.post('/organizations', requirePermission('organizations:manage'), requireSession, createOrganization);
+router.put('/organizations/:organizationId', requirePermission('organizations:manage'), requireSession, updateOrganization);
+router.delete('/organizations/:organizationId', requirePermission('organizations:manage'), requireSession, deleteOrganization);
 
 // Todo management
-router.get('/todos', getAllTodos);
+router.get('/todos', requirePermission('todos:view-all'), requireScope('admin:todos'), getAllTodos);
+router.get('/history', requirePermission('todos:view-all'), requireScope('admin:todos'), getHistoryFeed);
+
+// Comment moderation
+router.get('/comments', requirePermission('comments:moderate'), requireScope('admin:todos'), getAllComments);
+router.delete('/comments/:commentId', requirePermission('comments:moderate'), requireScope('admin:todos'), moderateComment);
+router.post('/comments/:commentId/restore', requirePermission('comments:moderate'), requireScope('admin:todos'), restoreComment);
+
+// Roles and permissions
+router.get('/roles', requirePermission('users:view'), requireScope('admin:users'), getRoles);
+router.post('/roles', requirePermission('roles:manage'), requireSession, createRole);
+router.put('/roles/:roleId', requirePermission('roles:manage'), requireSession, updateRole);
+router.delete('/roles/:roleId', requirePermission('roles:manage'), requireSession, deleteRole);
+
+// Security settings (interactive login only)
+router.get('/settings/security', requirePermission('settings:manage'), requireSession, getSecuritySettings);
+router.put('/settings/security', requirePermission('settings:manage'), requireSession, updateSecuritySettings);
 
 module.exports = router;
\ No newline at end of file
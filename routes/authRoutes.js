@@ -1,14 +1,51 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const { oidcLogin, oidcCallback } = require('../controllers/oidcController');
+const { authenticateToken, requireScope, requireSession } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// Single sign-on (OpenID Connect, authorization code + PKCE)
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallback);
 
 // Protected routes
-router.get('/me', authenticateToken, getMe);
+router.get('/me', authenticateToken, requireScope('profile:read'), getMe);
+router.post('/logout-all', authenticateToken, requireSession, logoutAll);
+
+// Two-factor authentication management
+router.post('/2fa/setup', authenticateToken, requireSession, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, requireSession, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, requireSession, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
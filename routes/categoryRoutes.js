@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { authenticateToken, requireScope } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication to all category routes
+router.use(authenticateToken);
+
+router.get('/', requireScope('todos:read'), getCategories);
+router.post('/', requireScope('todos:write'), createCategory);
+router.put('/:categoryId', requireScope('todos:write'), updateCategory);
+router.delete('/:categoryId', requireScope('todos:write'), deleteCategory);
+
+module.exports = router;
\ No newline at end of file
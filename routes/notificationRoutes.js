@@ -0,0 +1,14 @@
+const express = require('express');
+const { getNotifications, markAsRead, markAllAsRead } = require('../controllers/notificationController');
+const { authenticateToken, requireScope } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication to all notification routes
+router.use(authenticateToken);
+
+router.get('/', requireScope('todos:read'), getNotifications);
+router.post('/read-all', requireScope('todos:read'), markAllAsRead);
+router.post('/:notificationId/read', requireScope('todos:read'), markAsRead);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const { authenticateToken, requireScope } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication to all project routes
+router.use(authenticateToken);
+
+router.get('/', requireScope('todos:read'), getProjects);
+router.post('/', requireScope('todos:write'), createProject);
+router.get('/:projectId', requireScope('todos:read'), getProject);
+router.put('/:projectId', requireScope('todos:write'), updateProject);
+router.delete('/:projectId', requireScope('todos:write'), deleteProject);
+
+module.exports = router;
\ No newline at end of file
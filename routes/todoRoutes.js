@@ -7,31 +7,161 @@ const {
   getOverdueTodos,
   getCompletedTodos,
   searchTodos,
+  getTags,
   createTodo,
   updateTodo,
   deleteTodo,
   assignTodoToUser
 } = require('../controllers/todoController');
-const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  toggleChecklistItem,
+  reorderChecklist,
+  removeChecklistItem
+} = require('../controllers/checklistController');
+const { getSeries, skipOccurrence, updateSeries } = require('../controllers/recurrenceController');
+const {
+  getDependencies,
+  addDependency,
+  removeDependency,
+  getDependencyGraph
+} = require('../controllers/dependencyController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getCommentHistory
+} = require('../controllers/commentController');
+const { getReminders, addReminder, deleteReminder } = require('../controllers/reminderController');
+const { getTodoHistory } = require('../controllers/historyController');
+const { getShares, shareTodo, updateShare, revokeShare } = require('../controllers/shareController');
+const {
+  getTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash
+} = require('../controllers/trashController');
+const { bulkUpdateTodos } = require('../controllers/bulkController');
+const {
+  getTimeEntries,
+  getCurrentTimer,
+  startTimer,
+  stopTimer,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimesheet
+} = require('../controllers/timeController');
+const {
+  getBoard,
+  moveTodo,
+  createColumn,
+  updateColumn,
+  deleteColumn
+} = require('../controllers/boardController');
+const { authenticateToken, requirePermission, requireScope } = require('../middleware/authMiddleware');
+const { uploadAttachment: receiveFile } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
+const canRead = requireScope('todos:read');
+const canWrite = requireScope('todos:write');
 
 // Apply authentication to all todo routes
 router.use(authenticateToken);
 
+// Trash (deleted todos are kept for a retention period)
+router.get('/trash', canRead, getTrash);
+router.delete('/trash', canWrite, emptyTrash);
+router.post('/trash/:id/restore', canWrite, restoreFromTrash);
+router.delete('/trash/:id', canWrite, deleteFromTrash);
+
+// Kanban board (cards keep a manual order; columns are statuses or custom)
+router.get('/board', canRead, getBoard);
+router.post('/board/columns', canWrite, createColumn);
+router.put('/board/columns/:columnId', canWrite, updateColumn);
+router.delete('/board/columns/:columnId', canWrite, deleteColumn);
+
+// Time tracking (one running timer per user)
+router.get('/time/current', canRead, getCurrentTimer);
+router.post('/time/stop', canWrite, stopTimer);
+router.get('/time/timesheet', canRead, getTimesheet);
+
 // Todo CRUD routes
-router.get('/', getTodos);
-router.get('/search', searchTodos);
-router.get('/group/:group', getTodosByGroup); // today, all, completed, overdue
-router.get('/today', getTodaysTodos);
-router.get('/overdue', getOverdueTodos);
-router.get('/completed', getCompletedTodos);
-router.get('/:id', getTodoById);
-router.post('/', createTodo);
-router.put('/:id', updateTodo);
-router.delete('/:id', deleteTodo);
-
-// Admin only routes for task assignment
-router.post('/assign', requireAdmin, assignTodoToUser);
+router.get('/', canRead, getTodos);
+router.get('/search', canRead, searchTodos);
+router.get('/tags', canRead, getTags);
+router.get('/dependencies/graph', canRead, getDependencyGraph);
+router.post('/bulk', canWrite, bulkUpdateTodos);
+router.get('/group/:group', canRead, getTodosByGroup); // today, all, completed, overdue, shared
+router.get('/today', canRead, getTodaysTodos);
+router.get('/overdue', canRead, getOverdueTodos);
+router.get('/completed', canRead, getCompletedTodos);
+router.get('/:id', canRead, getTodoById);
+router.post('/', canWrite, createTodo);
+router.put('/:id', canWrite, updateTodo);
+router.delete('/:id', canWrite, deleteTodo);
+router.post('/:id/move', canWrite, moveTodo);
+
+// Checklist (subtask) routes
+router.post('/:id/checklist', canWrite, addChecklistItem);
+router.put('/:id/checklist/reorder', canWrite, reorderChecklist);
+router.put('/:id/checklist/:itemId', canWrite, updateChecklistItem);
+router.post('/:id/checklist/:itemId/toggle', canWrite, toggleChecklistItem);
+router.delete('/:id/checklist/:itemId', canWrite, removeChecklistItem);
+
+// Recurring todo routes
+router.get('/:id/series', canRead, getSeries);
+router.put('/:id/series', canWrite, updateSeries);
+router.post('/:id/skip', canWrite, skipOccurrence);
+
+// Dependency (blocked-by) routes
+router.get('/:id/dependencies', canRead, getDependencies);
+router.post('/:id/dependencies', canWrite, addDependency);
+router.delete('/:id/dependencies/:blockerId', canWrite, removeDependency);
+
+// Attachment routes
+router.get('/:id/attachments', canRead, getAttachments);
+router.post('/:id/attachments', canWrite, receiveFile, uploadAttachment);
+router.get('/:id/attachments/:attachmentId/download', canRead, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', canWrite, deleteAttachment);
+
+// Comment routes
+router.get('/:id/comments', canRead, getComments);
+router.post('/:id/comments', canWrite, addComment);
+router.put('/:id/comments/:commentId', canWrite, updateComment);
+router.delete('/:id/comments/:commentId', canWrite, deleteComment);
+router.get('/:id/comments/:commentId/history', canRead, getCommentHistory);
+
+// Reminder routes
+router.get('/:id/reminders', canRead, getReminders);
+router.post('/:id/reminders', canWrite, addReminder);
+router.delete('/:id/reminders/:reminderId', canWrite, deleteReminder);
+
+// Change history
+router.get('/:id/history', canRead, getTodoHistory);
+
+// Time entries
+router.get('/:id/time', canRead, getTimeEntries);
+router.post('/:id/time', canWrite, addTimeEntry);
+router.post('/:id/time/start', canWrite, startTimer);
+router.put('/:id/time/:entryId', canWrite, updateTimeEntry);
+router.delete('/:id/time/:entryId', canWrite, deleteTimeEntry);
+
+// Sharing with collaborators
+router.get('/:id/shares', canRead, getShares);
+router.post('/:id/shares', canWrite, shareTodo);
+router.put('/:id/shares/:userId', canWrite, updateShare);
+router.delete('/:id/shares/:userId', canWrite, revokeShare);
+
+// Task assignment routes
+router.post('/assign', requirePermission('todos:assign'), requireScope('todos:write', 'admin:todos'), assignTodoToUser);
 
 module.exports = router;
\ No newline at end of file
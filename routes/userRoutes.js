@@ -1,6 +1,15 @@
 const express = require('express');
-const { updateProfile, uploadProfileImage, getUserStats } = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  updateProfile,
+  changePassword,
+  uploadProfileImage,
+  getUserStats,
+  exportData,
+  deleteAccount
+} = require('../controllers/userController');
+const { getTokens, createToken, revokeToken } = require('../controllers/accessTokenController');
+const { getReminderSettings, updateReminderSettings } = require('../controllers/reminderController');
+const { authenticateToken, requireScope, requireSession } = require('../middleware/authMiddleware');
 const { upload } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -9,8 +18,22 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // User profile routes
-router.put('/profile', updateProfile);
-router.post('/profile/image', upload.single('image'), uploadProfileImage);
-router.get('/stats', getUserStats);
+router.put('/profile', requireScope('profile:write'), updateProfile);
+router.put('/password', requireSession, changePassword);
+router.post('/profile/image', requireScope('profile:write'), upload.single('image'), uploadProfileImage);
+router.get('/stats', requireScope('todos:read'), getUserStats);
+
+// Reminder channels and per-priority defaults
+router.get('/reminder-settings', requireScope('profile:read'), getReminderSettings);
+router.put('/reminder-settings', requireScope('profile:write'), updateReminderSettings);
+
+// Personal data export and account deletion
+router.get('/export', requireSession, exportData);
+router.delete('/me', requireSession, deleteAccount);
+
+// Personal access tokens (managed from an interactive login only)
+router.get('/tokens', requireSession, getTokens);
+router.post('/tokens', requireSession, createToken);
+router.delete('/tokens/:tokenId', requireSession, revokeToken);
 
 module.exports = router;
\ No newline at end of file
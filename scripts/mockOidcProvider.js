@@ -0,0 +1,105 @@
+// Minimal OpenID Connect provider for local development and testing of SSO.
+// Every /authorize request is approved immediately as the configured user.
+//
+//   MOCK_OIDC_PORT=9000 MOCK_OIDC_EMAIL=jane@example.com MOCK_OIDC_GROUPS=todo-admins npm run mock-idp
+//
+// Then point the API at it:
+//   OIDC_ISSUER=http://localhost:9000 OIDC_CLIENT_ID=todo-app
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 9000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const kid = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pendingCodes = new Map();
+
+const identity = (loginHint) => {
+  const email = loginHint || process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com';
+  return {
+    sub: process.env.MOCK_OIDC_SUB || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+    preferred_username: email.split('@')[0],
+    name: process.env.MOCK_OIDC_NAME || 'SSO User',
+    groups: (process.env.MOCK_OIDC_GROUPS || '').split(',').filter(Boolean)
+  };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+
+  if (req.query.code_challenge_method !== 'S256' || !codeChallenge) {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  pendingCodes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    claims: identity(req.query.login_hint),
+    expires: Date.now() + 60 * 1000
+  });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (!pending || pending.expires < Date.now() || pending.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...pending.claims, nonce: pending.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: pending.clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer}`);
+});
\ No newline at end of file
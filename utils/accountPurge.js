@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Todo = require('../models/Todo');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const BoardColumn = require('../models/BoardColumn');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { destroyProfileImage } = require('../config/cloudinary');
+const Comment = require('../models/Comment');
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+const TodoHistory = require('../models/TodoHistory');
+const TimeEntry = require('../models/TimeEntry');
+const { removeAttachments } = require('./attachments');
+const { cleanupDeletedTodos } = require('./todoCleanup');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+exports.GRACE_DAYS = GRACE_DAYS;
+
+// Permanently remove a user's personal data. The user document is kept as an
+// anonymised tombstone so todos an admin assigned (and the admin's assignment
+// stats) keep a valid, anonymous reference.
+exports.purgeUser = async (userId) => {
+  // Claim the user so concurrent instances don't purge twice. The deletion
+  // must still be due: logging in since purgeDueAccounts looked cancels it.
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: null, deletionScheduledFor: { $lte: new Date() } },
+    { deletedAt: new Date(), isActive: false },
+    { new: false }
+  );
+  if (!user) return false;
+
+  if (user.profileImage) {
+    try {
+      await destroyProfileImage(user.profileImage);
+    } catch (err) {
+      console.log('Error deleting profile image during purge:', err);
+    }
+  }
+
+  // History of their todos holds old titles and descriptions; their
+  // changes to other todos stay in the audit trail without the name
+  const ownedTodoIds = await Todo.find({ userId: user._id })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  await TodoHistory.deleteMany({ todoId: { $in: ownedTodoIds } });
+  await TodoHistory.updateMany({ actorId: user._id }, { actorId: null });
+
+  // The user's own todos (including trashed ones) are deleted outright
+  const ownTodoIds = await Todo.find({ userId: user._id, assignedBy: null })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  await Todo.deleteMany({ _id: { $in: ownTodoIds } });
+  await cleanupDeletedTodos(ownTodoIds);
+
+  // Files and comments the user left on todos that remain
+  await removeAttachments({ userId: user._id });
+  await Comment.deleteMany({ userId: user._id });
+  await Reminder.deleteMany({ userId: user._id });
+  await Notification.deleteMany({ userId: user._id });
+
+  // Time they logged on todos that remain is still billable; it stays on
+  // the anonymised user without their notes
+  await TimeEntry.stopRunning({ userId: user._id });
+  await TimeEntry.updateMany({ userId: user._id }, { note: '' });
+
+  // Todos an admin assigned to them stay for the admin, without their content
+  await Todo.updateMany(
+    { userId: user._id, assignedBy: { $ne: null } },
+    { title: '[deleted]', description: '', projectId: null, boardColumnId: null },
+    { withDeleted: true }
+  );
+
+  // Todos other people shared with them
+  await Todo.updateMany(
+    { 'sharedWith.userId': user._id },
+    { $pull: { sharedWith: { userId: user._id } } },
+    { withDeleted: true }
+  );
+
+  await Category.deleteMany({ userId: user._id });
+  await Project.deleteMany({ userId: user._id });
+  await BoardColumn.deleteMany({ userId: user._id });
+  await RefreshToken.deleteMany({ userId: user._id });
+  await AccessToken.deleteMany({ userId: user._id });
+  await LoginAttempt.deleteMany({ email: user.email });
+
+  // Anonymise the account itself (bypasses validation on purpose)
+  await User.collection.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        username: `deleted-user-${user._id}`,
+        email: `deleted-${user._id}@deleted.invalid`,
+        profileImage: null,
+        password: null,
+        passwordHistory: [],
+        emailVerified: false,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+        oidcIssuer: null,
+        oidcSubject: null,
+        lastLogin: null
+      }
+    }
+  );
+
+  return true;
+};
+
+// Purge every account whose grace period has ended
+exports.purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  }).select('_id');
+
+  let purged = 0;
+  for (const { _id } of dueUsers) {
+    try {
+      if (await exports.purgeUser(_id)) purged++;
+    } catch (error) {
+      console.error(`Account purge failed for ${_id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Run the purge periodically in the background
+exports.startAccountPurgeJob = () => {
+  const run = () => exports.purgeDueAccounts()
+    .then(count => count > 0 && console.log(`Purged ${count} deleted account(s)`))
+    .catch(error => console.error('Account purge job error:', error));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL).unref();
+};
\ No newline at end of file
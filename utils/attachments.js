@@ -0,0 +1,43 @@
+const Attachment = require('../models/Attachment');
+const User = require('../models/User');
+const { attachmentPolicy, getStorage } = require('../config/storage');
+
+// Reserve quota for an upload; false when it would exceed the user's quota
+exports.reserveQuota = async (userId, size) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, storageUsed: { $lte: attachmentPolicy.userQuota - size } },
+    { $inc: { storageUsed: size } },
+    { new: true }
+  );
+  return !!user;
+};
+
+// Give quota back (never below zero)
+exports.releaseQuota = (userId, size) => {
+  return User.updateOne(
+    { _id: userId },
+    [{ $set: { storageUsed: { $max: [0, { $subtract: ['$storageUsed', size] }] } } }]
+  );
+};
+
+// Delete matching attachments: files first, then records and quota
+exports.removeAttachments = async (query) => {
+  const attachments = await Attachment.find(query).select('+storageKey');
+
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storage).remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${attachment._id}:`, error.message);
+    }
+    await Attachment.deleteOne({ _id: attachment._id });
+    await exports.releaseQuota(attachment.userId, attachment.size);
+  }
+
+  return attachments.length;
+};
+
+// Clean up everything attached to deleted todos
+exports.removeTodoAttachments = (todoIds) => {
+  return exports.removeAttachments({ todoId: { $in: todoIds } });
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Frequently used passwords (from public breach corpora), always rejected.
+// Extend with PASSWORD_DENYLIST_FILE (one password per line).
+module.exports = [
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '123123',
+  '111111', '000000', '654321', '666666', '121212', '112233', '123321', '987654321',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'qwe123', '1q2w3e4r', '1q2w3e4r5t', 'zaq12wsx',
+  'asdfgh', 'asdfghjkl', 'zxcvbnm', '1qaz2wsx', 'abc123', 'abcd1234', 'a1b2c3d4',
+  'iloveyou', 'letmein', 'welcome', 'welcome1', 'welcome123', 'admin', 'admin123',
+  'administrator', 'root', 'toor', 'login', 'master', 'secret', 'changeme', 'default',
+  'monkey', 'dragon', 'football', 'baseball', 'soccer', 'hockey', 'superman', 'batman',
+  'sunshine', 'princess', 'shadow', 'michael', 'jennifer', 'jordan', 'hunter', 'hunter2',
+  'trustno1', 'starwars', 'whatever', 'freedom', 'computer', 'internet', 'mustang',
+  'killer', 'charlie', 'access', 'flower', 'cheese', 'summer', 'winter', 'pokemon',
+  'todoapp', 'todo1234', 'test', 'test123', 'test1234', 'testing', 'guest', 'user',
+  'user123', 'demo', 'demo123', 'temp', 'temp123', 'letmein1', 'aa123456', 'qazwsx'
+];
\ No newline at end of file
@@ -0,0 +1,186 @@
+const Todo = require('../models/Todo');
+const { canViewTodo } = require('./todoAccess');
+
+// How far the graph endpoint follows links in each direction
+const MAX_GRAPH_DEPTH = 50;
+
+// Statuses a blocked todo may not move to without `force`
+exports.BLOCKED_STATUSES = ['in-progress', 'completed'];
+
+// Whether making `todoId` wait for `blockerId` would close a loop, i.e. the
+// blocker already (transitively) waits for the todo. Trashed todos count,
+// since they may be restored.
+exports.wouldCreateCycle = async (todoId, blockerId) => {
+  if (todoId.toString() === blockerId.toString()) return true;
+
+  const [blocker] = await Todo.aggregate([
+    { $match: { _id: blockerId } },
+    {
+      $graphLookup: {
+        from: Todo.collection.name,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream'
+      }
+    },
+    { $project: { upstream: '$upstream._id' } }
+  ]);
+
+  return !!blocker && blocker.upstream.some(id => id.toString() === todoId.toString());
+};
+
+// Blockers of a todo that are not completed yet
+exports.findOpenBlockers = (todo) => {
+  if (!todo.blockedBy || todo.blockedBy.length === 0) return Promise.resolve([]);
+  return Todo.find({ _id: { $in: todo.blockedBy }, status: { $ne: 'completed' } })
+    .select('title status dueDate userId');
+};
+
+// Respond 409 when a todo with open blockers is moved to a blocked status
+// without `force`; returns true when the response was sent
+exports.rejectIfBlocked = async (res, todo, status, force) => {
+  if (force || !exports.BLOCKED_STATUSES.includes(status) || status === todo.status) {
+    return false;
+  }
+
+  const blockers = await exports.findOpenBlockers(todo);
+  if (blockers.length === 0) return false;
+
+  res.status(409).json({
+    success: false,
+    code: 'TODO_BLOCKED',
+    message: `Todo is blocked by ${blockers.length} unfinished todo(s). Pass force to override`,
+    data: { blockers }
+  });
+  return true;
+};
+
+// Fields of a todo shown next to its dependencies
+const LINK_FIELDS = ['_id', 'title', 'status', 'priority', 'dueDate', 'userId'];
+exports.LINK_SELECT = `${LINK_FIELDS.join(' ')} sharedWith`;
+
+// Linked todos as the caller may see them: todos they can't view show up as
+// a bare { _id, hidden: true }. Todos need userId and sharedWith loaded.
+exports.describeLinkedTodos = (req, todos) => Promise.all(todos.map(async todo => (
+  await canViewTodo(req, todo)
+    ? Object.fromEntries(LINK_FIELDS.map(field => [field, todo[field]]))
+    : { _id: todo._id, hidden: true }
+)));
+
+// Drop deleted todos from the blockedBy lists of the todos they blocked
+exports.unlinkTodos = (todoIds) => {
+  return Todo.updateMany(
+    { blockedBy: { $in: todoIds } },
+    { $pull: { blockedBy: { $in: todoIds } } }
+  );
+};
+
+// Nodes and edges reachable from the given todos, upstream and downstream.
+// Edges point from the blocker to the todo it blocks; nodes the caller can't
+// view are hidden.
+exports.buildGraph = async (req, rootIds) => {
+  const collection = Todo.collection.name;
+  const results = await Todo.aggregate([
+    { $match: { _id: { $in: rootIds } } },
+    {
+      $graphLookup: {
+        from: collection,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        maxDepth: MAX_GRAPH_DEPTH,
+        restrictSearchWithMatch: { deletedAt: null },
+        as: 'upstream'
+      }
+    },
+    {
+      $graphLookup: {
+        from: collection,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'blockedBy',
+        maxDepth: MAX_GRAPH_DEPTH,
+        restrictSearchWithMatch: { deletedAt: null },
+        as: 'downstream'
+      }
+    }
+  ]);
+
+  const docs = new Map();
+  for (const root of results) {
+    for (const doc of [root, ...root.upstream, ...root.downstream]) {
+      docs.set(doc._id.toString(), doc);
+    }
+  }
+
+  const nodes = await exports.describeLinkedTodos(req, [...docs.values()]);
+
+  const edges = [];
+  for (const doc of docs.values()) {
+    for (const blockerId of doc.blockedBy || []) {
+      if (docs.has(blockerId.toString())) {
+        edges.push({ from: blockerId, to: doc._id });
+      }
+    }
+  }
+
+  return { nodes, edges };
+};
+
+// Longest chain of unfinished todos through the graph (completed and hidden
+// todos add no length). Ties go to the chain ending with the earliest due date.
+exports.criticalPath = ({ nodes, edges }) => {
+  const byId = new Map(nodes.map(node => [node._id.toString(), node]));
+  const incoming = new Map(nodes.map(node => [node._id.toString(), []]));
+  const outgoing = new Map(nodes.map(node => [node._id.toString(), []]));
+  for (const edge of edges) {
+    incoming.get(edge.to.toString()).push(edge.from.toString());
+    outgoing.get(edge.from.toString()).push(edge.to.toString());
+  }
+
+  // Topological order (links are acyclic by construction)
+  const remaining = new Map([...incoming].map(([id, list]) => [id, list.length]));
+  const queue = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of outgoing.get(id)) {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) queue.push(next);
+    }
+  }
+
+  const length = new Map();
+  const previous = new Map();
+  for (const id of order) {
+    let best = null;
+    for (const from of incoming.get(id)) {
+      if (best === null || length.get(from) > length.get(best)) best = from;
+    }
+    const node = byId.get(id);
+    const own = node.hidden || node.status === 'completed' ? 0 : 1;
+    length.set(id, own + (best === null ? 0 : length.get(best)));
+    previous.set(id, best);
+  }
+
+  let end = null;
+  for (const id of order) {
+    if (end === null || length.get(id) > length.get(end) ||
+        (length.get(id) === length.get(end) && byId.get(id).dueDate < byId.get(end).dueDate)) {
+      end = id;
+    }
+  }
+  if (end === null || length.get(end) === 0) return { length: 0, todos: [] };
+
+  const path = [];
+  for (let id = end; id !== null; id = previous.get(id)) {
+    path.unshift(byId.get(id));
+  }
+
+  return {
+    length: length.get(end),
+    todos: path.filter(node => !node.hidden && node.status !== 'completed')
+  };
+};
\ No newline at end of file
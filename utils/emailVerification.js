@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { sendVerificationEmail } = require('./emails');
+
+// The token is bound to the address it was issued for, so changing the
+// email invalidates any link sent to the previous one.
+exports.createVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.emailVerificationExpire }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or expired
+exports.verifyVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'verify-email' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Send a fresh verification link; mail failures are logged, not thrown
+exports.sendVerification = async (user) => {
+  try {
+    await sendVerificationEmail(user, exports.createVerificationToken(user));
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { sendMail } = require('../config/mailer');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Password reset link
+exports.sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+      `Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes ` +
+      `and can only be used once.\n\n${link}\n\n` +
+      'If you did not request a password reset, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes ` +
+      'and can only be used once.</p>' +
+      `<p><a href="${escapeHtml(link)}">Reset password</a></p>` +
+      '<p>If you did not request a password reset, you can ignore this email.</p>'
+  });
+};
+
+// Email address verification link
+exports.sendVerificationEmail = (user, token) => {
+  const link = `${apiUrl()}/api/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm that ${user.email} is your email address by opening the link below.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Please confirm that ${escapeHtml(user.email)} is your email address.</p>` +
+      `<p><a href="${escapeHtml(link)}">Verify email</a></p>`
+  });
+};
+
+// Due date reminder for a todo
+exports.sendReminderEmail = (user, todo, summary) => {
+  const link = `${clientUrl()}/todos/${todo._id}`;
+
+  return sendMail({
+    to: user.email,
+    subject: `Reminder: ${todo.title}`,
+    text: `Hi ${user.username},\n\n${summary}\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>${escapeHtml(summary)}</p>` +
+      `<p><a href="${escapeHtml(link)}">Open todo</a></p>`
+  });
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Signatures of the binary formats attachments may have
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: Buffer.from('GIF87a') },
+  { type: 'image/gif', bytes: Buffer.from('GIF89a') },
+  { type: 'image/webp', bytes: Buffer.from('RIFF'), also: { offset: 8, bytes: Buffer.from('WEBP') } },
+  { type: 'application/pdf', bytes: Buffer.from('%PDF-') },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }
+];
+
+// Office Open XML documents are zip archives holding these parts
+const OOXML_PARTS = [
+  ['word/', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['xl/', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt/', 'application/vnd.openxmlformats-officedocument.presentationml.presentation']
+];
+
+// Legacy Office formats share one container; the declared type picks which
+const OLE_TYPES = ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'];
+const TEXT_TYPES = ['text/plain', 'text/csv'];
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length &&
+  Array.from(bytes).every((byte, index) => buffer[offset + index] === byte)
+);
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Type of a file judged by its content rather than what the client claims.
+// `declared` only settles formats the bytes can't tell apart (legacy Office
+// files, plain text vs CSV). Returns null when the content isn't recognised.
+exports.sniffMimeType = (buffer, declared) => {
+  const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes) &&
+    (!signature.also || startsWith(buffer, signature.also.bytes, signature.also.offset)));
+
+  if (match && match.type === 'application/zip') {
+    if (!buffer.includes('[Content_Types].xml')) return match.type;
+    const part = OOXML_PARTS.find(([prefix]) => buffer.includes(prefix));
+    return part ? part[1] : match.type;
+  }
+  if (match && match.type === 'application/x-ole-storage') {
+    return OLE_TYPES.includes(declared) ? declared : null;
+  }
+  if (match) return match.type;
+
+  if (isText(buffer)) {
+    return TEXT_TYPES.includes(declared) ? declared : 'text/plain';
+  }
+  return null;
+};
\ No newline at end of file
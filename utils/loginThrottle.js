@@ -0,0 +1,107 @@
+const authConfig = require('../config/auth');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+// Delay required after `attempts` consecutive failures: 1s, 2s, 4s, ... capped
+const delayFor = (attempts) => {
+  if (attempts <= 0) return 0;
+  return Math.min(2 ** (attempts - 1), authConfig.loginMaxDelaySeconds) * 1000;
+};
+
+// Too many failures from this IP within the window?
+exports.checkIp = async (ip) => {
+  const windowStart = new Date(Date.now() - authConfig.loginIpWindowMinutes * 60 * 1000);
+  const failures = await LoginAttempt.countDocuments({ ip, createdAt: { $gte: windowStart } });
+
+  if (failures < authConfig.loginIpMaxAttempts) return null;
+
+  const oldest = await LoginAttempt.findOne({ ip, createdAt: { $gte: windowStart } })
+    .sort({ createdAt: 1 });
+
+  return {
+    code: 'TOO_MANY_ATTEMPTS',
+    retryAfter: secondsUntil(oldest.createdAt.getTime() + authConfig.loginIpWindowMinutes * 60 * 1000)
+  };
+};
+
+// Is the account locked, or still inside its progressive delay?
+exports.checkAccount = (user) => {
+  if (user.isLocked) {
+    return { code: 'ACCOUNT_LOCKED', retryAfter: secondsUntil(user.lockUntil) };
+  }
+
+  if (user.lastFailedLoginAt && !user.lockUntil) {
+    const nextAllowed = user.lastFailedLoginAt.getTime() + delayFor(user.failedLoginAttempts);
+    if (nextAllowed > Date.now()) {
+      return { code: 'LOGIN_THROTTLED', retryAfter: secondsUntil(nextAllowed) };
+    }
+  }
+
+  return null;
+};
+
+// Record a failed attempt; locks the account once the limit is reached
+exports.recordFailure = async (ip, email, user = null) => {
+  await LoginAttempt.create({ ip, email });
+
+  if (!user) return;
+
+  // One atomic update, so parallel failures can't overwrite each other's
+  // count. An expired lock starts a fresh round of attempts.
+  const now = new Date();
+  const expired = {
+    $and: [{ $eq: [{ $type: '$lockUntil' }, 'date'] }, { $lte: ['$lockUntil', now] }]
+  };
+  const updated = await User.findOneAndUpdate({ _id: user._id }, [
+    {
+      $set: {
+        failedLoginAttempts: { $add: [{ $cond: [expired, 0, { $ifNull: ['$failedLoginAttempts', 0] }] }, 1] },
+        lastFailedLoginAt: now,
+        lockUntil: { $cond: [expired, null, '$lockUntil'] }
+      }
+    },
+    {
+      $set: {
+        lockUntil: {
+          $cond: [
+            { $gte: ['$failedLoginAttempts', authConfig.loginMaxAttempts] },
+            new Date(now.getTime() + authConfig.loginLockMinutes * 60 * 1000),
+            '$lockUntil'
+          ]
+        }
+      }
+    }
+  ], { new: true }).select('failedLoginAttempts lastFailedLoginAt lockUntil');
+  if (!updated) return;
+
+  // Keep the caller's copy current (e.g. for isLocked)
+  user.failedLoginAttempts = updated.failedLoginAttempts;
+  user.lastFailedLoginAt = updated.lastFailedLoginAt;
+  user.lockUntil = updated.lockUntil;
+};
+
+// Clear the counters after a successful login (caller saves the user)
+exports.resetFailures = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockUntil = null;
+};
+
+// Send the matching error response for a throttle result
+exports.sendThrottled = (res, result) => {
+  const messages = {
+    ACCOUNT_LOCKED: 'Account is temporarily locked due to too many failed login attempts',
+    LOGIN_THROTTLED: 'Too many failed login attempts, please wait before trying again',
+    TOO_MANY_ATTEMPTS: 'Too many failed login attempts from this address, please try again later'
+  };
+
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    success: false,
+    code: result.code,
+    message: messages[result.code],
+    retryAfter: result.retryAfter
+  });
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcConfig = require('../config/oidc');
+
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+let discoveryCache = null;
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+  return body;
+};
+
+// Provider metadata from /.well-known/openid-configuration (cached)
+const discover = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== oidcConfig.issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${oidcConfig.issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Signing key for a key id; the JWKS is re-fetched when an unknown kid shows up
+// (key rotation), but at most once a minute
+const getSigningKey = async (kid) => {
+  if (jwksCache.keys.has(kid)) return jwksCache.keys.get(kid);
+
+  if (Date.now() - jwksCache.fetchedAt > 60 * 1000 || jwksCache.keys.size === 0) {
+    const { jwks_uri: jwksUri } = await discover();
+    const { keys } = await fetchJson(jwksUri);
+
+    jwksCache = { keys: new Map(), fetchedAt: Date.now() };
+    for (const jwk of keys) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      jwksCache.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) throw new Error(`No signing key found for kid ${kid}`);
+  return key;
+};
+
+// Random values for one login attempt, including the PKCE S256 pair
+exports.createLoginParams = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// URL to send the browser to
+exports.buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+// Exchange the authorization code (plus PKCE verifier) for tokens
+exports.exchangeCode = async (code, codeVerifier) => {
+  const { token_endpoint: tokenEndpoint } = await discover();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: oidcConfig.redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (oidcConfig.clientSecret) {
+    const credentials = `${encodeURIComponent(oidcConfig.clientId)}:${encodeURIComponent(oidcConfig.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(tokenEndpoint, { method: 'POST', headers, body });
+};
+
+// Validate an ID token's signature (against the provider JWKS) and claims
+exports.verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { issuer } = await discover();
+  const key = await getSigningKey(decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer,
+    audience: oidcConfig.clientId,
+    clockTolerance: 30
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+};
+
+// Role for a set of IdP groups, or null when no mapping applies
+exports.mapGroupsToRole = (groups) => {
+  const roleMap = oidcConfig.roleMap;
+  if (Object.keys(roleMap).length === 0) return null;
+
+  const groupList = Array.isArray(groups) ? groups : groups ? [groups] : [];
+  const match = Object.keys(roleMap).find(group => groupList.includes(group));
+  return match ? roleMap[match] : 'user';
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+const commonPasswords = require('./commonPasswords');
+
+let denylist = null;
+
+// Built-in list plus the optional PASSWORD_DENYLIST_FILE, loaded once
+const getDenylist = () => {
+  if (denylist) return denylist;
+
+  denylist = new Set(commonPasswords);
+  const file = authConfig.passwordPolicy.denylistFile;
+  if (file) {
+    try {
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(entry => denylist.add(entry));
+    } catch (error) {
+      console.error('Failed to load password denylist:', error.message);
+    }
+  }
+  return denylist;
+};
+
+// Returns a list of policy violations (empty when the password is acceptable)
+exports.validatePassword = (password, { username, email } = {}) => {
+  const policy = authConfig.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (password.length > policy.maxLength) {
+    errors.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  if (getDenylist().has(lowered)) {
+    errors.push('Password is too common');
+  }
+  if (username && lowered.includes(String(username).toLowerCase())) {
+    errors.push('Password cannot contain your username');
+  }
+  const emailName = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (emailName.length >= 3 && lowered.includes(emailName)) {
+    errors.push('Password cannot contain your email address');
+  }
+
+  return errors;
+};
+
+// Whether the password matches the current or one of the last N hashes
+// (user must be loaded with +password +passwordHistory)
+exports.isPasswordReused = async (user, password) => {
+  const { historyCount } = authConfig.passwordPolicy;
+  if (historyCount <= 0) return false;
+
+  const hashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Send the standard 400 response for policy violations
+exports.sendPolicyErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    code: 'PASSWORD_POLICY',
+    message: errors[0],
+    errors
+  });
+};
\ No newline at end of file
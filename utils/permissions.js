@@ -0,0 +1,46 @@
+const Role = require('../models/Role');
+
+// Role permissions are cached briefly so every request doesn't hit the database
+const CACHE_TTL = 30 * 1000;
+const cache = new Map();
+
+// Permissions granted to a role name (empty for unknown roles)
+exports.getPermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expires > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  let permissions = [];
+  if (role) {
+    permissions = role.permissions;
+  } else if (Role.SYSTEM_ROLES[roleName]) {
+    permissions = Role.SYSTEM_ROLES[roleName].permissions;
+  }
+
+  cache.set(roleName, { permissions, expires: Date.now() + CACHE_TTL });
+  return permissions;
+};
+
+// Drop cached permissions after a role is changed
+exports.clearPermissionCache = (roleName) => {
+  if (roleName) cache.delete(roleName);
+  else cache.clear();
+};
+
+// Whether the authenticated request carries a permission
+exports.hasPermission = (req, permission) => {
+  return !!req.permissions && req.permissions.includes(permission);
+};
+
+// Whether a role with this name exists (built-in or custom)
+exports.roleExists = async (roleName) => {
+  if (Role.SYSTEM_ROLES[roleName]) return true;
+  return !!(await Role.exists({ name: roleName }));
+};
+
+// Whether the caller holds every permission of a role, so granting it (or
+// managing someone who has it) cannot raise anyone above the caller
+exports.canGrantRole = async (req, roleName) => {
+  const permissions = await exports.getPermissions(roleName);
+  return permissions.every(permission => exports.hasPermission(req, permission));
+};
\ No newline at end of file
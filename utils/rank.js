@@ -0,0 +1,105 @@
+// Sortable string keys for manual ordering. A key can always be generated
+// between two others, so moving an item only ever rewrites that item.
+//
+// A key is an integer part plus an optional fraction. The integer part is a
+// head letter giving its sign and length ('a' = 1 digit, 'b' = 2, ...;
+// 'Z' = 1 negative digit, 'Y' = 2, ...) followed by the digits, so adding to
+// either end of a list just steps it and keys stay short. Fractions are only
+// used when inserting between two neighbours.
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const FIRST = 'a0';
+
+const integerLength = (key) => {
+  const head = key[0];
+  return head >= 'a'
+    ? head.charCodeAt(0) - 'a'.charCodeAt(0) + 2
+    : 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+};
+
+// Split a key into its integer part and fraction
+const split = (key) => [key.slice(0, integerLength(key)), key.slice(integerLength(key))];
+
+// Next integer part ('az' -> 'b00', 'Zz' -> 'a0')
+const increment = (integer) => {
+  let head = integer[0];
+  const digits = integer.slice(1).split('');
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const value = DIGITS.indexOf(digits[i]) + 1;
+    if (value < BASE) {
+      digits[i] = DIGITS[value];
+      return head + digits.join('');
+    }
+    digits[i] = '0';
+  }
+  if (head === 'Z') return 'a0';
+  if (head === 'z') throw new Error('Rank out of range');
+  head = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (head > 'a') digits.push('0');
+  else digits.pop();
+  return head + digits.join('');
+};
+
+// Previous integer part ('b00' -> 'az', 'a0' -> 'Zz')
+const decrement = (integer) => {
+  let head = integer[0];
+  const digits = integer.slice(1).split('');
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const value = DIGITS.indexOf(digits[i]) - 1;
+    if (value >= 0) {
+      digits[i] = DIGITS[value];
+      return head + digits.join('');
+    }
+    digits[i] = DIGITS[BASE - 1];
+  }
+  if (head === 'a') return 'Z' + DIGITS[BASE - 1];
+  if (head === 'A') throw new Error('Rank out of range');
+  head = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (head < 'Z') digits.push(DIGITS[BASE - 1]);
+  else digits.pop();
+  return head + digits.join('');
+};
+
+// Fraction strictly between a and b (b null = no upper bound). Fractions never
+// end in '0', so there is always room below them.
+const midpoint = (a, b) => {
+  if (b !== null) {
+    let shared = 0;
+    while ((a[shared] || '0') === b[shared]) shared++;
+    if (shared > 0) return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+
+  // Adjacent digits: a longer b leaves room at its first digit, otherwise go one level deeper
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// Key that sorts after `before` and before `after`; either may be null for
+// the start or end of the list
+exports.rankBetween = (before = null, after = null) => {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Cannot rank between ${before} and ${after}`);
+  }
+
+  if (before === null && after === null) return FIRST;
+
+  if (after === null) return increment(split(before)[0]);
+
+  const [integerAfter, fractionAfter] = split(after);
+
+  if (before === null) {
+    return fractionAfter ? integerAfter : decrement(integerAfter);
+  }
+
+  const [integerBefore, fractionBefore] = split(before);
+  if (integerBefore === integerAfter) {
+    return integerBefore + midpoint(fractionBefore, fractionAfter);
+  }
+
+  const next = increment(integerBefore);
+  return next < after ? next : integerBefore + midpoint(fractionBefore, null);
+};
\ No newline at end of file
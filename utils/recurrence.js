@@ -0,0 +1,168 @@
+// Date math for recurring todos (a subset of iCalendar RRULE):
+//   { frequency: 'daily' | 'weekly' | 'monthly', interval,
+//     byWeekday: [0-6],                        // weekly; 0 = Sunday
+//     monthlyMode: 'dayOfMonth' | 'nthWeekday', dayOfMonth: 1-31,
+//     nthWeek: 1-5 | -1, weekday: 0-6,         // monthly nth weekday (-1 = last)
+//     count, until }                           // optional end conditions
+// Occurrences keep the time of day of the series anchor (its first due date).
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 1000;
+
+const toWeekday = (value) => {
+  if (typeof value === 'string') return WEEKDAY_CODES.indexOf(value.toUpperCase().slice(0, 2));
+  return Number.isInteger(value) ? value : -1;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - start.getDay());
+  return start;
+};
+
+const withTimeOf = (date, anchor) => {
+  const result = new Date(date);
+  result.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), anchor.getMilliseconds());
+  return result;
+};
+
+// Date of the nth weekday of a month (nth = -1 for the last), or null if it doesn't exist
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const last = new Date(year, month, daysInMonth(year, month));
+    last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    return last;
+  }
+  const first = new Date(year, month, 1);
+  const day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+  return day <= daysInMonth(year, month) ? new Date(year, month, day) : null;
+};
+
+// Validate and normalise a rule; returns { rule } or { errors }
+exports.normalizeRule = (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Recurrence must be an object'] };
+  }
+
+  const rule = {
+    frequency: input.frequency,
+    interval: input.interval === undefined ? 1 : parseInt(input.interval),
+    byWeekday: [],
+    monthlyMode: null,
+    dayOfMonth: null,
+    nthWeek: null,
+    weekday: null,
+    count: input.count === undefined || input.count === null ? null : parseInt(input.count),
+    until: input.until ? new Date(input.until) : null
+  };
+
+  if (!['daily', 'weekly', 'monthly'].includes(rule.frequency)) {
+    errors.push('Recurrence frequency must be daily, weekly or monthly');
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    errors.push('Recurrence interval must be between 1 and 365');
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    errors.push('Recurrence count must be a positive number');
+  }
+  if (rule.until && isNaN(rule.until.getTime())) {
+    errors.push('Recurrence until must be a valid date');
+  }
+
+  if (rule.frequency === 'weekly') {
+    const byWeekday = input.byWeekday || [];
+    const weekdays = Array.isArray(byWeekday) ? byWeekday.map(toWeekday) : [];
+    if (!Array.isArray(byWeekday) || weekdays.some(day => day < 0 || day > 6)) {
+      errors.push('byWeekday must contain weekdays 0-6 or SU-SA');
+    }
+    rule.byWeekday = [...new Set(weekdays)].sort();
+  }
+
+  if (rule.frequency === 'monthly') {
+    rule.monthlyMode = input.monthlyMode || (input.nthWeek !== undefined ? 'nthWeekday' : 'dayOfMonth');
+    if (rule.monthlyMode === 'dayOfMonth') {
+      rule.dayOfMonth = input.dayOfMonth === undefined ? null : parseInt(input.dayOfMonth);
+      if (rule.dayOfMonth !== null && !(rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31)) {
+        errors.push('dayOfMonth must be between 1 and 31');
+      }
+    } else if (rule.monthlyMode === 'nthWeekday') {
+      rule.nthWeek = parseInt(input.nthWeek);
+      rule.weekday = toWeekday(input.weekday);
+      if (![1, 2, 3, 4, 5, -1].includes(rule.nthWeek)) {
+        errors.push('nthWeek must be 1-5, or -1 for the last week');
+      }
+      if (rule.weekday < 0 || rule.weekday > 6) {
+        errors.push('weekday must be 0-6 or SU-SA');
+      }
+    } else {
+      errors.push('monthlyMode must be dayOfMonth or nthWeekday');
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { rule };
+};
+
+// First occurrence strictly after `after`, for a series anchored at `anchor`
+const nextDate = (rule, anchor, after) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    const elapsed = Math.floor((after - anchor) / DAY);
+    let steps = Math.max(0, Math.floor(elapsed / interval));
+    let candidate;
+    do {
+      candidate = withTimeOf(new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + steps * interval), anchor);
+      steps++;
+    } while (candidate <= after);
+    return candidate;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [anchor.getDay()];
+    const anchorWeek = startOfWeek(anchor);
+    const candidate = new Date(after);
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      candidate.setDate(candidate.getDate() + (i === 0 ? 0 : 1));
+      const dated = withTimeOf(candidate, anchor);
+      const weeks = Math.round((startOfWeek(dated) - anchorWeek) / (7 * DAY));
+      if (dated > after && weeks % interval === 0 && weekdays.includes(dated.getDay())) {
+        return dated;
+      }
+    }
+    return null;
+  }
+
+  // Monthly
+  const monthsElapsed = (after.getFullYear() - anchor.getFullYear()) * 12 + after.getMonth() - anchor.getMonth();
+  let step = Math.max(0, Math.floor(monthsElapsed / interval));
+  for (let i = 0; i < MAX_ITERATIONS; i++, step++) {
+    const month = new Date(anchor.getFullYear(), anchor.getMonth() + step * interval, 1);
+    let date;
+    if (rule.monthlyMode === 'nthWeekday') {
+      date = nthWeekdayOfMonth(month.getFullYear(), month.getMonth(), rule.weekday, rule.nthWeek);
+    } else {
+      const day = Math.min(rule.dayOfMonth || anchor.getDate(), daysInMonth(month.getFullYear(), month.getMonth()));
+      date = new Date(month.getFullYear(), month.getMonth(), day);
+    }
+    if (date) {
+      const dated = withTimeOf(date, anchor);
+      if (dated > after) return dated;
+    }
+  }
+  return null;
+};
+
+// Due date of occurrence number `index + 1`, given the current one; null once the series ends
+exports.nextOccurrence = (rule, anchor, currentDueDate, index) => {
+  if (rule.count && index >= rule.count) return null;
+
+  const next = nextDate(rule, new Date(anchor), new Date(currentDueDate));
+  if (!next) return null;
+  if (rule.until && next > new Date(rule.until)) return null;
+  return next;
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const reminderConfig = require('../config/reminders');
+const Notification = require('../models/Notification');
+const { sendReminderEmail } = require('./emails');
+const { postWebhook } = require('./webhooks');
+
+// Delivery channels by name. A channel is an async function
+// deliver({ user, todo, reminder, summary }) that throws when delivery failed.
+const channels = new Map();
+
+const registerChannel = (name, deliver) => {
+  channels.set(name, deliver);
+};
+
+const getChannel = (name) => channels.get(name);
+
+// Shown in the app's notification list
+registerChannel('in-app', async ({ user, todo, summary }) => {
+  await Notification.create({
+    userId: user._id,
+    type: 'reminder',
+    todoId: todo._id,
+    title: `Reminder: ${todo.title}`,
+    message: summary
+  });
+});
+
+registerChannel('email', async ({ user, todo, summary }) => {
+  await sendReminderEmail(user, todo, summary);
+});
+
+// POST to the user's webhook, signed with HMAC-SHA256 over the raw body using
+// the user's own webhook secret (shown in their reminder settings)
+registerChannel('webhook', async ({ user, todo, reminder, summary }) => {
+  const { webhookUrl: url, webhookSecret: secret } = user.reminderSettings || {};
+  if (!url) throw new Error('No webhook URL configured');
+  if (!secret) throw new Error('No webhook secret; open the reminder settings to generate one');
+
+  const body = JSON.stringify({
+    event: 'todo.reminder',
+    reminderId: reminder._id,
+    fireAt: reminder.fireAt,
+    summary,
+    todo: {
+      _id: todo._id,
+      title: todo.title,
+      dueDate: todo.dueDate,
+      priority: todo.priority,
+      status: todo.status
+    }
+  });
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const status = await postWebhook(url, {
+    'Content-Type': 'application/json',
+    'X-Todo-Signature': `sha256=${signature}`,
+    'X-Todo-Delivery': `${reminder._id}`
+  }, body, reminderConfig.webhookTimeoutMs);
+  if (status < 200 || status >= 300) throw new Error(`Webhook responded with ${status}`);
+});
+
+module.exports = { registerChannel, getChannel };
\ No newline at end of file
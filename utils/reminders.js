@@ -0,0 +1,201 @@
+const os = require('os');
+const crypto = require('crypto');
+const Reminder = require('../models/Reminder');
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const reminderConfig = require('../config/reminders');
+const { getChannel } = require('./reminderChannels');
+
+const MINUTE = 60 * 1000;
+
+// Identifies this process in reminder leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// When a reminder fires for a todo: its absolute time, or relative to dueDate
+const computeFireAt = (reminder, todo) => {
+  if (reminder.remindAt) return new Date(reminder.remindAt);
+  return new Date(new Date(todo.dueDate).getTime() - reminder.minutesBefore * MINUTE);
+};
+
+// The owner's default offsets (minutes before dueDate) for a priority
+const defaultOffsets = (user, priority) => {
+  const defaults = user && user.reminderSettings && user.reminderSettings.defaults;
+  const own = defaults && defaults[priority];
+  return Array.isArray(own) ? own : reminderConfig.priorityDefaults[priority] || [];
+};
+
+// Bring a todo's reminders in line with its owner, due date, priority and status.
+// Call after creating or changing a todo.
+const syncTodoReminders = async (todo) => {
+  if (!todo) return;
+
+  // Finished todos are not reminded about; reopening brings the reminders back
+  if (todo.status === 'completed') {
+    await Reminder.updateMany({ todoId: todo._id, status: 'pending' }, { status: 'cancelled' });
+    return;
+  }
+
+  const now = new Date();
+  const userId = todo.userId._id || todo.userId;
+
+  const customReminders = await Reminder.find({
+    todoId: todo._id,
+    source: 'custom',
+    status: { $in: ['pending', 'cancelled'] }
+  });
+  for (const reminder of customReminders) {
+    reminder.userId = userId;
+    reminder.fireAt = computeFireAt(reminder, todo);
+    if (reminder.status === 'cancelled' && reminder.fireAt > now) reminder.status = 'pending';
+    await reminder.save();
+  }
+
+  // Default reminders are regenerated from the owner's current settings
+  await Reminder.deleteMany({
+    todoId: todo._id,
+    source: 'default',
+    status: { $in: ['pending', 'cancelled'] }
+  });
+
+  const owner = await User.findById(userId).select('reminderSettings');
+  const reminders = defaultOffsets(owner, todo.priority)
+    .map(minutesBefore => ({
+      todoId: todo._id,
+      userId,
+      source: 'default',
+      minutesBefore,
+      fireAt: computeFireAt({ minutesBefore }, todo)
+    }))
+    .filter(reminder => reminder.fireAt > now);
+  if (reminders.length > 0) await Reminder.insertMany(reminders);
+};
+
+const describeDue = (todo) => {
+  const minutes = Math.round((new Date(todo.dueDate).getTime() - Date.now()) / MINUTE);
+  const dueDate = new Date(todo.dueDate).toISOString();
+
+  if (minutes < 0) return `"${todo.title}" is overdue (was due ${dueDate})`;
+  if (minutes < 60) return `"${todo.title}" is due in ${minutes} minute(s) (${dueDate})`;
+  if (minutes < 48 * 60) return `"${todo.title}" is due in ${Math.round(minutes / 60)} hour(s) (${dueDate})`;
+  return `"${todo.title}" is due in ${Math.round(minutes / (24 * 60))} day(s) (${dueDate})`;
+};
+
+// Atomically take the next due reminder (or one whose lease ran out because
+// its instance died), so no two instances deliver the same reminder
+const claimNext = () => {
+  const now = new Date();
+  return Reminder.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', fireAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + reminderConfig.leaseSeconds * 1000)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { fireAt: 1 } }
+  );
+};
+
+// Deliver a claimed reminder through its channels and record the outcome
+const deliverReminder = async (reminder) => {
+  const finish = (update) => Reminder.updateOne(
+    { _id: reminder._id, lockedBy: INSTANCE_ID },
+    { ...update, lockedBy: null, lockedUntil: null }
+  );
+
+  const todo = await Todo.findById(reminder.todoId);
+  if (!todo || todo.status === 'completed') {
+    return finish({ status: 'cancelled' });
+  }
+
+  const lateBy = Date.now() - reminder.fireAt.getTime();
+  if (reminder.attempts === 1 && lateBy > reminderConfig.maxLateMinutes * MINUTE) {
+    return finish({ status: 'failed', lastError: 'Missed the delivery window' });
+  }
+
+  const user = await User.findById(todo.userId).select('+reminderSettings.webhookSecret');
+  if (!user || !user.isActive || user.deletedAt) {
+    return finish({ status: 'cancelled' });
+  }
+
+  const wanted = reminder.channels.length > 0 ? reminder.channels : user.reminderSettings.channels;
+  const summary = describeDue(todo);
+  const delivered = [];
+  const errors = [];
+
+  for (const name of wanted.filter(channel => !reminder.deliveredChannels.includes(channel))) {
+    const channel = getChannel(name);
+    try {
+      if (!channel) throw new Error('Unknown channel');
+      await channel({ user, todo, reminder, summary });
+      delivered.push(name);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    return finish({
+      status: 'sent',
+      sentAt: new Date(),
+      lastError: null,
+      $push: { deliveredChannels: { $each: delivered } }
+    });
+  }
+
+  // Retry only the failed channels, backing off exponentially
+  const retry = reminder.attempts < reminderConfig.maxAttempts;
+  return finish({
+    status: retry ? 'pending' : 'failed',
+    fireAt: retry ? new Date(Date.now() + 2 ** reminder.attempts * MINUTE) : reminder.fireAt,
+    lastError: errors.join('; '),
+    $push: { deliveredChannels: { $each: delivered } }
+  });
+};
+
+// Deliver every reminder that is due, up to one batch
+const processDueReminders = async () => {
+  let processed = 0;
+  while (processed < reminderConfig.batchSize) {
+    const reminder = await claimNext();
+    if (!reminder) break;
+
+    try {
+      await deliverReminder(reminder);
+    } catch (error) {
+      console.error(`Reminder ${reminder._id} failed:`, error);
+    }
+    processed++;
+  }
+  return processed;
+};
+
+// Poll for due reminders in the background. Safe to run on every instance.
+const startReminderJob = () => {
+  let running = false;
+  const run = () => {
+    if (running) return;
+    running = true;
+    processDueReminders()
+      .catch(error => console.error('Reminder job error:', error))
+      .finally(() => { running = false; });
+  };
+
+  run();
+  return setInterval(run, reminderConfig.pollIntervalSeconds * 1000).unref();
+};
+
+module.exports = {
+  computeFireAt,
+  defaultOffsets,
+  syncTodoReminders,
+  processDueReminders,
+  startReminderJob
+};
\ No newline at end of file
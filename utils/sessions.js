@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken } = require('../middleware/authMiddleware');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a new refresh token for the given session family and return the raw value
+const createRefreshToken = async (userId, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req ? req.ip : null,
+    userAgent: req ? req.headers['user-agent'] || null : null
+  });
+
+  return token;
+};
+
+// Start a new session: short-lived access token plus a refresh token
+exports.issueSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user._id, family, req);
+
+  return {
+    token: generateToken(user._id, user.role, family),
+    refreshToken,
+    sessionId: family
+  };
+};
+
+// Finish a successful login: record it and start a session
+exports.loginUser = async (user, req) => {
+  user.lastLogin = new Date();
+
+  // Logging in during the grace period cancels a pending account deletion
+  const deletionCancelled = !!user.deletionScheduledFor;
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+
+  const session = await exports.issueSession(user, req);
+  return { ...session, deletionCancelled };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated
+// token means it was stolen or replayed, so the whole family is revoked.
+exports.rotateSession = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: false }
+  ).populate('userId', 'role isActive');
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await RefreshToken.revokeFamily(reused.family, 'reuse-detected');
+      return { error: 'reuse' };
+    }
+    return { error: 'invalid' };
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return { error: 'expired' };
+  }
+
+  const user = current.userId;
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(current.family, 'admin');
+    return { error: 'inactive' };
+  }
+
+  const refreshToken = await createRefreshToken(user._id, current.family, req);
+  await RefreshToken.updateOne(
+    { _id: current._id },
+    { replacedByHash: hashToken(refreshToken) }
+  );
+
+  return {
+    token: generateToken(user._id, user.role, current.family),
+    refreshToken,
+    sessionId: current.family
+  };
+};
+
+// End the session a refresh token belongs to
+exports.revokeSession = async (rawToken) => {
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!token) return null;
+
+  await RefreshToken.revokeFamily(token.family, 'logout');
+  return token;
+};
+
+// End every session of a user (log out all devices)
+exports.revokeAllSessions = (userId, reason = 'logout-all', exceptSessionId = null) => {
+  return RefreshToken.revokeAllForUser(userId, reason, exceptSessionId);
+};
+
+exports.hashToken = hashToken;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const User = require('../models/User');
+const Todo = require('../models/Todo');
+const { hasPermission } = require('./permissions');
+
+// Super-admins (organizations:manage) see every organization. Everyone else is
+// limited to their own; users outside any organization form a tenant of their own.
+exports.isGlobal = (req) => hasPermission(req, 'organizations:manage');
+
+// Organization id of the caller (null when they are in none)
+exports.tenantOf = (req) => req.user.organizationId || null;
+
+// User filter for the caller's tenant ({} for super-admins)
+exports.userScope = (req) => {
+  return exports.isGlobal(req) ? {} : { organizationId: exports.tenantOf(req) };
+};
+
+// Ids of the users in the caller's tenant, or null for super-admins
+exports.tenantUserIds = async (req) => {
+  if (exports.isGlobal(req)) return null;
+  return User.find(exports.userScope(req)).distinct('_id');
+};
+
+// Filter on a user reference (default the todo owner) for the caller's
+// tenant; ids are ObjectIds so it also works in aggregation $match stages
+exports.todoScope = async (req, field = 'userId') => {
+  const ids = await exports.tenantUserIds(req);
+  return ids ? { [field]: { $in: ids } } : {};
+};
+
+// Ids of every todo (trashed included) owned in the caller's tenant, or null for super-admins
+exports.tenantTodoIds = async (req) => {
+  const scope = await exports.todoScope(req);
+  if (!scope.userId) return null;
+  return Todo.find(scope).setOptions({ withDeleted: true }).distinct('_id');
+};
+
+// Whether a user is in the caller's tenant
+exports.isTenantMember = async (req, userId) => {
+  if (exports.isGlobal(req)) return true;
+  return !!(await User.exists({ _id: userId, ...exports.userScope(req) }));
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY = 24 * 60 * 60 * 1000;
+
+const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Read ?from, ?to and ?timezone of a timesheet request. The range defaults
+// to the last 30 days; returns { error } when the parameters are invalid.
+exports.timesheetRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_DAYS * DAY);
+  const timezone = query.timezone || 'UTC';
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be valid dates' };
+  if (from >= to) return { error: 'from must be before to' };
+  if (to - from > MAX_DAYS * DAY) return { error: `Range cannot exceed ${MAX_DAYS} days` };
+  if (!isTimezone(timezone)) return { error: 'Invalid timezone' };
+
+  return { from, to, timezone };
+};
\ No newline at end of file
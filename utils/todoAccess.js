@@ -0,0 +1,56 @@
+const Todo = require('../models/Todo');
+const { hasPermission } = require('./permissions');
+const { isTenantMember } = require('./tenants');
+
+const ownerId = (todo) => (todo.userId._id || todo.userId).toString();
+
+// The caller's entry in the todo's sharedWith list, if any
+const shareFor = (req, todo) => (todo.sharedWith || []).find(
+  share => (share.userId._id || share.userId).toString() === req.user._id.toString()
+);
+
+// Owner, or anyone allowed to manage every user's todos in the owner's
+// organization: may delete, reassign and share the todo
+exports.canManageTodo = async (req, todo) => {
+  if (ownerId(todo) === req.user._id.toString()) return true;
+  return hasPermission(req, 'todos:manage-all') && isTenantMember(req, ownerId(todo));
+};
+
+// Managers plus collaborators with editor access
+exports.canEditTodo = async (req, todo) => {
+  const share = shareFor(req, todo);
+  if (share && share.permission === 'editor') return true;
+  return exports.canManageTodo(req, todo);
+};
+
+// Owner, collaborators, or anyone allowed to view every user's todos in the
+// owner's organization
+exports.canViewTodo = async (req, todo) => {
+  if (ownerId(todo) === req.user._id.toString() || shareFor(req, todo)) return true;
+  return hasPermission(req, 'todos:view-all') && isTenantMember(req, ownerId(todo));
+};
+
+// Load req.params.id for viewing ('view'), changing ('edit') or owner-level
+// actions ('manage'); sends the 404/403 response and returns null when not allowed
+exports.findTodoForUser = async (req, res, mode = 'edit') => {
+  const todo = await Todo.findById(req.params.id);
+
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  const check = { view: exports.canViewTodo, edit: exports.canEditTodo, manage: exports.canManageTodo }[mode];
+  if (!(await check(req, todo))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return todo;
+};
\ No newline at end of file
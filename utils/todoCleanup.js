@@ -0,0 +1,14 @@
+const Comment = require('../models/Comment');
+const Reminder = require('../models/Reminder');
+const TimeEntry = require('../models/TimeEntry');
+const { unlinkTodos } = require('./dependencies');
+const { removeTodoAttachments } = require('./attachments');
+
+// Remove everything that hangs off todos that were just deleted
+exports.cleanupDeletedTodos = async (todoIds) => {
+  await unlinkTodos(todoIds);
+  await removeTodoAttachments(todoIds);
+  await Comment.deleteMany({ todoId: { $in: todoIds } });
+  await Reminder.deleteMany({ todoId: { $in: todoIds } });
+  await TimeEntry.deleteMany({ todoId: { $in: todoIds } });
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const TodoHistory = require('../models/TodoHistory');
+
+// Fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'category',
+  'projectId',
+  'tags',
+  'priority',
+  'status',
+  'userId',
+  'assignedBy',
+  'autoCompleteOnChecklist',
+  'blockedBy'
+];
+
+// Comparable, storable form: ids as strings, dates as ISO strings
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  // Populated reference
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  return value;
+};
+
+const snapshot = (todo) => (todo && typeof todo.toObject === 'function' ? todo.toObject() : todo);
+
+// Field-level differences between two versions of a todo
+const diffTodo = (before, after) => {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    const from = normalize(before ? before[field] : undefined);
+    const to = normalize(after ? after[field] : undefined);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+};
+
+const ownerOf = (todo) => normalize(todo.userId);
+
+// Log a change. `before` or `after` is null for create and delete; `action`
+// overrides the one derived from them (e.g. 'restore').
+// History must never break the request, so failures are only logged.
+const recordTodoChange = async ({ before = null, after = null, actorId = null, context = null, action = null }) => {
+  try {
+    before = snapshot(before);
+    after = snapshot(after);
+
+    const changes = diffTodo(before, after);
+    if (!action) {
+      action = 'update';
+      if (!before) action = 'create';
+      else if (!after) action = 'delete';
+      else if (changes.some(change => change.field === 'userId')) action = 'reassign';
+    }
+
+    if (action === 'update' && changes.length === 0) return null;
+
+    const todo = after || before;
+    return await TodoHistory.create({
+      todoId: todo._id,
+      todoTitle: todo.title,
+      ownerId: ownerOf(todo),
+      actorId: normalize(actorId),
+      action,
+      context,
+      changes
+    });
+  } catch (error) {
+    console.error('Record todo history error:', error);
+    return null;
+  }
+};
+
+module.exports = { TRACKED_FIELDS, diffTodo, snapshot, recordTodoChange };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps), compatible with
+// Google Authenticator, Authy, 1Password and similar apps.
+const DIGITS = 6;
+const PERIOD = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New random 160-bit shared secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a given counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+const generateCode = (secret, time = Date.now()) => hotp(secret, timeStep(time));
+
+// Check a code allowing +/- `window` steps of clock drift. Returns the
+// matched time step (so callers can reject replays) or null.
+const verifyCode = (secret, code, window = 1, time = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; render it as a QR code client-side
+const provisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri
+};
\ No newline at end of file
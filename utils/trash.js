@@ -0,0 +1,79 @@
+const Todo = require('../models/Todo');
+const Reminder = require('../models/Reminder');
+const TimeEntry = require('../models/TimeEntry');
+const { cleanupDeletedTodos } = require('./todoCleanup');
+const { syncTodoReminders } = require('./reminders');
+const { recordTodoChange } = require('./todoHistory');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+exports.RETENTION_DAYS = RETENTION_DAYS;
+
+// When a trashed todo will be purged automatically
+exports.purgeDate = (todo) => new Date(todo.deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Move a todo to the trash
+exports.trashTodo = async (todo, actorId, context = 'trash') => {
+  const trashed = await Todo.findOneAndUpdate(
+    { _id: todo._id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: actorId },
+    { new: true }
+  );
+  if (!trashed) return null;
+
+  await exports.afterTrash(todo, actorId, context);
+  return trashed;
+};
+
+// Side effects of trashing a todo (for callers that set deletedAt themselves)
+exports.afterTrash = async (todo, actorId, context = 'trash') => {
+  await Reminder.updateMany({ todoId: todo._id, status: 'pending' }, { status: 'cancelled' });
+  await TimeEntry.stopRunning({ todoId: todo._id });
+  await recordTodoChange({ before: todo, actorId, context });
+};
+
+// Bring a todo back from the trash
+exports.restoreTodo = async (todo, actorId) => {
+  const restored = await Todo.findOneAndUpdate(
+    { _id: todo._id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true }
+  );
+  if (!restored) return null;
+
+  await syncTodoReminders(restored);
+  await recordTodoChange({ after: restored, actorId, action: 'restore' });
+  return restored;
+};
+
+// Delete trashed todos for good, with their attachments, comments and reminders
+exports.destroyTodos = async (todos, actorId = null, context = 'permanent') => {
+  const ids = todos.map(todo => todo._id);
+  await Todo.deleteMany({ _id: { $in: ids } });
+  await cleanupDeletedTodos(ids);
+
+  for (const todo of todos) {
+    await recordTodoChange({ before: todo, actorId, context });
+  }
+  return ids.length;
+};
+
+// Permanently delete todos that have been in the trash longer than the retention period
+exports.purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Todo.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(500);
+  if (expired.length === 0) return 0;
+
+  return exports.destroyTodos(expired, null, 'retention');
+};
+
+// Run the trash purge periodically in the background
+exports.startTrashPurgeJob = () => {
+  const run = () => exports.purgeExpiredTrash()
+    .then(count => count > 0 && console.log(`Purged ${count} todo(s) from the trash`))
+    .catch(error => console.error('Trash purge job error:', error));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL).unref();
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const Setting = require('../models/Setting');
+
+const ADMIN_2FA_SETTING = 'requireAdminTwoFactor';
+
+// Short-lived token proving the password step succeeded
+exports.createChallengeToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: authConfig.twoFactorChallengeExpire }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or expired
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether every admin account must have 2FA enabled
+exports.isAdminTwoFactorRequired = () => {
+  return Setting.getValue(ADMIN_2FA_SETTING, authConfig.requireAdminTwoFactorDefault);
+};
+
+exports.setAdminTwoFactorRequired = (required, updatedBy) => {
+  return Setting.setValue(ADMIN_2FA_SETTING, required, updatedBy);
+};
\ No newline at end of file
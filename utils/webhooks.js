@@ -0,0 +1,92 @@
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+
+// Addresses webhooks may not reach: private networks, loopback, link-local
+// (cloud metadata endpoints), carrier-grade NAT, multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is publicly routable (IPv4-mapped IPv6 addresses are
+// judged by their IPv4 part)
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup that refuses to hand out non-public addresses, so the check
+// happens on the address actually connected to (no DNS rebinding)
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Problem with a webhook URL, or null when it may be used: it has to be
+// https and its host has to resolve to public addresses only
+exports.checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Webhook URL is not a valid URL';
+  }
+  if (url.protocol !== 'https:') return 'Webhook URL must use https';
+  if (url.username || url.password) return 'Webhook URL cannot contain credentials';
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : 'Webhook URL must point to a public address';
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+      return 'Webhook URL must point to a public address';
+    }
+  } catch (error) {
+    return `Webhook host ${hostname} could not be resolved`;
+  }
+  return null;
+};
+
+// POST `body` to a webhook URL. Redirects are not followed and the target
+// is checked again at connection time; resolves with the response status.
+exports.postWebhook = async (value, headers, body, timeoutMs) => {
+  const problem = await exports.checkWebhookUrl(value);
+  if (problem) throw new Error(problem);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(value, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: timeoutMs
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
\ No newline at end of file